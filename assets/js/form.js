@@ -6,59 +6,518 @@
 (function() {
   'use strict';
 
-  const TOTAL_STEPS = 6;
+  const SITE_ID = 'topfundmanager';
   let currentStep = 1;
   let formLoadTime = Date.now(); // Track when form was loaded for timing validation
-
-  // Form field definitions by step
-  const stepFields = {
-    1: ['firstName', 'lastName', 'email', 'phone'],
-    2: ['howFound', 'previousApplication', 'occupation', 'cityState'],
-    3: ['goals', 'areasNeedHelp', 'experienceLevel', 'currentRealEstate'],
-    4: ['rentalUnitsGoal', 'currentIncome', 'targetIncome'],
-    5: ['mainObstacle', 'whySelected'],
-    6: ['investmentBudget', 'alternativeOption', 'creditScore']
-  };
-
-  // Required fields
-  const requiredFields = ['firstName', 'lastName', 'email', 'phone', 'areasNeedHelp', 'experienceLevel', 'currentRealEstate', 'investmentBudget'];
-
-  // Max lengths for validation (must match server)
-  const maxLengths = {
-    firstName: 50,
-    lastName: 50,
-    email: 100,
-    phone: 20,
-    howFound: 500,
-    occupation: 100,
-    cityState: 100,
-    goals: 2000,
-    areasNeedHelp: 2000,
-    mainObstacle: 2000,
-    whySelected: 2000
-  };
-
-  function init() {
+  let challenge = null; // Verification widget, when the site requires one
+
+  // Save and resume: answers are kept in localStorage as the applicant types. Once step 1 has a
+  // valid email (and the challenge is done, when the site requires one), every step change also
+  // saves them to the server (POST /api/contact/draft), which the funnel's abandoned leads read;
+  // "Email me a link" saves the same way and mails a link to finish on another device
+  const DRAFT_STORAGE_KEY = 'tfm-vip-draft';
+  const DRAFT_SAVE_DELAY = 500;
+  let draftToken = null; // Server draft token, once one exists
+  let draftStartedAt = null;
+  let draftSaveTimer = null;
+
+  // Step views go to /api/contact/events under a per-application session id, for the
+  // drop-off funnel on the dashboard; the id is kept with the local draft
+  let funnelSessionId = null;
+  let lastReportedStep = null;
+
+  // Steps, fields, labels and validation come from the form definition the server also
+  // validates against. It is a static file, so loading it does not depend on the API
+  const DEFINITION_URL = '/forms/definitions/vip-1on1.json';
+  const DEFINITION_RETRY_DELAYS = [1000, 3000];
+  let definition = null;
+  let stepFields = {}; // step number -> field names
+  let fieldsByName = {};
+  let totalSteps = 0;
+
+  async function init() {
     const form = document.getElementById('vip-application-form');
     if (!form) return;
 
+    try {
+      loadDefinition(await fetchDefinition());
+    } catch (error) {
+      console.error('Form definition error:', error);
+      showError('The application form could not be loaded. Check your connection and refresh the page.', {
+        persist: true,
+      });
+      return;
+    }
+
+    renderForm(form);
+
     // Record form load time
     formLoadTime = Date.now();
 
     // Set up navigation
-    document.querySelectorAll('.form-next').forEach(btn => {
+    form.querySelectorAll('.form-next').forEach(btn => {
       btn.addEventListener('click', handleNext);
     });
 
-    document.querySelectorAll('.form-prev').forEach(btn => {
+    form.querySelectorAll('.form-prev').forEach(btn => {
       btn.addEventListener('click', handlePrev);
     });
 
     // Handle form submission
     form.addEventListener('submit', handleSubmit);
 
+    // Re-apply show/hide rules whenever an answer changes
+    form.addEventListener('change', applyFieldRules);
+    applyFieldRules();
+
+    setupChallenge();
+
     // Update progress bar
     updateProgress();
+
+    setupDrafts(form);
+  }
+
+  // A flaky connection gets a couple more tries before the applicant sees an error
+  async function fetchDefinition() {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await fetch(DEFINITION_URL);
+        if (!response.ok) throw new Error(`Definition request failed with ${response.status}`);
+        return await response.json();
+      } catch (error) {
+        if (attempt >= DEFINITION_RETRY_DELAYS.length) throw error;
+        await new Promise(resolve => setTimeout(resolve, DEFINITION_RETRY_DELAYS[attempt]));
+      }
+    }
+  }
+
+  function loadDefinition(data) {
+    definition = data;
+    stepFields = {};
+    fieldsByName = {};
+    (definition.steps || []).forEach((step, index) => {
+      stepFields[index + 1] = step.fields.map(field => field.name);
+      step.fields.forEach(field => {
+        fieldsByName[field.name] = field;
+      });
+    });
+    totalSteps = definition.steps.length;
+  }
+
+  function createElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  function renderControl(field) {
+    const input = field.input || (field.type === 'email' ? 'email' : field.type === 'phone' ? 'tel' : 'text');
+    let control;
+
+    if (input === 'select') {
+      control = createElement('select', 'form-select');
+      control.appendChild(new Option('Select an option', ''));
+      (field.options || []).forEach(option => {
+        const value = typeof option === 'object' ? option.value : option;
+        const label = typeof option === 'object' ? option.label || option.value : option;
+        control.appendChild(new Option(label, value));
+      });
+    } else if (input === 'textarea') {
+      control = createElement('textarea', 'form-textarea');
+    } else {
+      control = createElement('input', 'form-input');
+      control.type = input;
+      if (field.min !== undefined) control.min = field.min;
+      if (field.max !== undefined) control.max = field.max;
+    }
+
+    control.id = field.name;
+    control.name = field.name;
+    if (field.placeholder) control.placeholder = field.placeholder;
+    if (field.required) control.required = true;
+    return control;
+  }
+
+  function renderGroup(field, control) {
+    const group = createElement('div', 'form-group');
+    const label = createElement('label', 'form-label', field.label);
+    label.htmlFor = field.name;
+    if (field.required) label.appendChild(createElement('span', 'required', '*'));
+    group.appendChild(label);
+    group.appendChild(control);
+    if (field.description) group.appendChild(createElement('p', 'form-description', field.description));
+    return group;
+  }
+
+  // Consecutive `half` fields share a row, two at a time
+  function renderFields(container, fields) {
+    let row = null;
+    fields.forEach(field => {
+      const group = renderGroup(field, renderControl(field));
+      if (!field.half) {
+        row = null;
+        container.appendChild(group);
+        return;
+      }
+      if (!row || row.children.length === 2) {
+        row = createElement('div', 'form-row');
+        container.appendChild(row);
+      }
+      row.appendChild(group);
+    });
+  }
+
+  function renderAttachments(container, attachments) {
+    const input = createElement('input', 'form-input');
+    input.type = 'file';
+    input.id = attachments.name || 'documents';
+    input.name = input.id;
+    input.multiple = true;
+    input.accept = (attachments.allowedTypes || []).join(',');
+    container.appendChild(renderGroup({ name: input.id, label: attachments.label, description: attachments.description }, input));
+  }
+
+  function renderForm(form) {
+    const container = form.querySelector('.form-steps');
+
+    definition.steps.forEach((step, index) => {
+      const number = index + 1;
+      const isLast = number === totalSteps;
+      const stepEl = createElement('div', 'form-step');
+      stepEl.id = `step-${number}`;
+      stepEl.style.display = number === 1 ? 'block' : 'none';
+      stepEl.appendChild(createElement('h4', 'step-title', step.title));
+      renderFields(stepEl, step.fields);
+
+      if (isLast && definition.attachments) renderAttachments(stepEl, definition.attachments);
+
+      const buttons = createElement('div', 'form-buttons');
+      if (number === 1) {
+        buttons.appendChild(createElement('span'));
+      } else {
+        const prev = createElement('button', 'form-btn form-prev', 'Previous');
+        prev.type = 'button';
+        buttons.appendChild(prev);
+      }
+      const next = createElement(
+        'button',
+        isLast ? 'form-btn form-submit' : 'form-btn form-next',
+        isLast ? definition.submitLabel || 'Submit' : 'Next'
+      );
+      next.type = isLast ? 'submit' : 'button';
+      buttons.appendChild(next);
+      stepEl.appendChild(buttons);
+
+      container.appendChild(stepEl);
+    });
+
+    // Below every step, because saving a draft to the server needs the challenge as well as submitting
+    const challengeEl = createElement('div', 'form-challenge');
+    challengeEl.hidden = true;
+    container.appendChild(challengeEl);
+  }
+
+  function setupDrafts(form) {
+    form.addEventListener('input', scheduleLocalDraftSave);
+    form.addEventListener('change', scheduleLocalDraftSave);
+
+    const saveLinkBtn = document.querySelector('.form-save-link');
+    if (saveLinkBtn) saveLinkBtn.addEventListener('click', handleSaveLink);
+
+    const resetBtn = document.querySelector('.form-draft-reset');
+    if (resetBtn) resetBtn.addEventListener('click', handleStartOver);
+
+    restoreDraft().then(() => reportStep(currentStep));
+  }
+
+  function createSessionId() {
+    if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+  }
+
+  function reportStep(step) {
+    if (step === lastReportedStep) return;
+    lastReportedStep = step;
+    if (!funnelSessionId) funnelSessionId = createSessionId();
+
+    fetch('/api/contact/events', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId: funnelSessionId, step }),
+      keepalive: true,
+    }).catch(() => {
+      // The funnel is best effort; the application itself is unaffected
+    });
+  }
+
+  // A ?resume= link from the email wins over whatever this browser saved
+  async function restoreDraft() {
+    const url = new URL(window.location.href);
+    const resumeToken = url.searchParams.get('resume');
+
+    if (resumeToken) {
+      url.searchParams.delete('resume');
+      window.history.replaceState(null, '', url.toString());
+
+      try {
+        const response = await fetch(`/api/contact/draft?token=${encodeURIComponent(resumeToken)}`);
+        const result = await response.json();
+        if (!result.success) {
+          showError(result.error || 'Your saved application could not be loaded.');
+          return;
+        }
+
+        draftToken = resumeToken;
+        applyDraft(result.draft.data, result.draft.currentStep, result.draft.startedAt);
+        saveLocalDraft();
+        showDraftNotice('Welcome back! Your saved answers have been restored.');
+      } catch (error) {
+        console.error('Draft load error:', error);
+        showError('Your saved application could not be loaded.');
+      }
+      return;
+    }
+
+    const saved = readLocalDraft();
+    if (!saved || !saved.data || Object.keys(saved.data).length === 0) return;
+
+    draftToken = saved.token || null;
+    funnelSessionId = saved.sessionId || null;
+    applyDraft(saved.data, saved.currentStep, saved.startedAt);
+    showDraftNotice('We restored the answers you saved on this device.');
+  }
+
+  function applyDraft(data, step, startedAt) {
+    Object.entries(data || {}).forEach(([name, value]) => {
+      const field = document.querySelector(`#vip-application-form [name="${name}"]`);
+      if (field && field.type !== 'file') field.value = value;
+    });
+
+    // Keep the original start time so the spam timing check sees the whole session
+    const started = Date.parse(startedAt);
+    if (!Number.isNaN(started)) {
+      draftStartedAt = new Date(started).toISOString();
+      formLoadTime = Math.min(formLoadTime, started);
+    }
+
+    // The saved step may have been skipped by the restored answers
+    applyFieldRules();
+    const savedStep = Math.min(Math.max(Number(step) || 1, 1), totalSteps);
+    const activeSteps = getActiveSteps();
+    const targetStep = activeSteps.find(active => active >= savedStep) || activeSteps[activeSteps.length - 1];
+    showStep(targetStep, { scroll: false });
+  }
+
+  function collectDraftData() {
+    const data = {};
+    Object.values(stepFields).flat().forEach(name => {
+      const field = document.querySelector(`#vip-application-form [name="${name}"]`);
+      if (field && field.value) data[name] = field.value;
+    });
+    return data;
+  }
+
+  function readLocalDraft() {
+    try {
+      return JSON.parse(window.localStorage.getItem(DRAFT_STORAGE_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function saveLocalDraft() {
+    if (!draftStartedAt) draftStartedAt = new Date(formLoadTime).toISOString();
+    try {
+      window.localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify({
+        data: collectDraftData(),
+        currentStep,
+        token: draftToken,
+        startedAt: draftStartedAt,
+        sessionId: funnelSessionId,
+      }));
+    } catch (error) {
+      // Private browsing or a full quota: the form still works without autosave
+    }
+  }
+
+  function clearLocalDraft() {
+    clearTimeout(draftSaveTimer);
+    try {
+      window.localStorage.removeItem(DRAFT_STORAGE_KEY);
+    } catch (error) {
+      // Nothing to clear
+    }
+  }
+
+  function scheduleLocalDraftSave() {
+    clearTimeout(draftSaveTimer);
+    draftSaveTimer = setTimeout(saveLocalDraft, DRAFT_SAVE_DELAY);
+  }
+
+  // Starting a server draft needs a challenge token; saves to an existing draft do not
+  function needsDraftChallenge() {
+    return !draftToken && challenge !== null;
+  }
+
+  async function saveServerDraft(options = {}) {
+    const challengeToken = needsDraftChallenge() ? challenge.getToken() : null;
+
+    try {
+      const response = await fetch('/api/contact/draft', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          token: draftToken,
+          data: collectDraftData(),
+          currentStep,
+          sendLink: options.sendLink === true,
+          challengeToken,
+        }),
+      });
+      const result = await response.json();
+      if (!result.success) throw new Error(result.error || 'Unable to save your application.');
+
+      draftToken = result.token;
+      saveLocalDraft();
+      return result;
+    } finally {
+      // Challenge tokens are single use
+      if (challengeToken) challenge.reset();
+    }
+  }
+
+  // The server copy starts once step 1 has a valid email, so an unfinished application
+  // still reaches the team as a partial lead; after that every step change updates it
+  function syncDraft() {
+    saveLocalDraft();
+    const emailField = document.querySelector('#vip-application-form [name="email"]');
+    if (!draftToken && !(emailField && isValidEmail(emailField.value.trim()))) return;
+    if (needsDraftChallenge() && !challenge.getToken()) return;
+    saveServerDraft().catch(error => console.error('Draft save error:', error));
+  }
+
+  async function handleSaveLink(e) {
+    e.preventDefault();
+
+    const emailField = document.querySelector('#vip-application-form [name="email"]');
+    if (!emailField || !isValidEmail(emailField.value.trim())) {
+      setSaveStatus('Enter your email address on step 1 first, and we will send the link there.');
+      return;
+    }
+
+    if (needsDraftChallenge() && !challenge.getToken()) {
+      setSaveStatus('Please complete the verification challenge first.');
+      return;
+    }
+
+    const button = e.currentTarget;
+    button.disabled = true;
+    setSaveStatus('Saving...');
+
+    try {
+      await saveServerDraft({ sendLink: true });
+      setSaveStatus(`Saved. We emailed a link to ${emailField.value.trim()} so you can finish on any device.`);
+    } catch (error) {
+      setSaveStatus(error.message || 'Unable to save your application.');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  async function handleStartOver(e) {
+    e.preventDefault();
+    if (!window.confirm('Clear your saved answers and start a new application?')) return;
+
+    if (draftToken) {
+      fetch('/api/contact/draft', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: draftToken }),
+      }).catch(error => console.error('Draft delete error:', error));
+    }
+
+    clearLocalDraft();
+    draftToken = null;
+    draftStartedAt = null;
+    funnelSessionId = null;
+    lastReportedStep = null;
+    formLoadTime = Date.now();
+    document.getElementById('vip-application-form').reset();
+    applyFieldRules();
+    hideDraftNotice();
+    setSaveStatus('');
+    showStep(1);
+  }
+
+  function showDraftNotice(message) {
+    const notice = document.querySelector('.form-draft-notice');
+    if (!notice) return;
+    notice.querySelector('.form-draft-message').textContent = message;
+    notice.hidden = false;
+  }
+
+  function hideDraftNotice() {
+    const notice = document.querySelector('.form-draft-notice');
+    if (notice) notice.hidden = true;
+  }
+
+  function setSaveStatus(message) {
+    const status = document.querySelector('.form-save-status');
+    if (status) status.textContent = message;
+  }
+
+  // Render the site's verification challenge (Turnstile) using the helpers from forms/embed.js
+  async function setupChallenge() {
+    const container = document.querySelector('.form-challenge');
+    if (!container || !window.TFMForms) return;
+
+    try {
+      const config = await window.TFMForms.fetchChallengeConfig(SITE_ID);
+      if (!config.required) return;
+      container.hidden = false;
+      challenge = await window.TFMForms.mountChallenge(container, config);
+    } catch (error) {
+      console.error('Challenge setup error:', error);
+    }
+  }
+
+  function getFieldValue(name) {
+    const field = document.querySelector(`#vip-application-form [name="${name}"]`);
+    return field ? field.value.trim() : '';
+  }
+
+  // A field with `showIf` rules is shown only when every rule holds; a rule that depends on
+  // a hidden field sees it as empty, so rules can chain. Same semantics as schema.js
+  function isFieldVisible(name, seen = new Set()) {
+    const showIf = fieldsByName[name] && fieldsByName[name].showIf;
+    if (!showIf || seen.has(name)) return true;
+    seen.add(name);
+
+    const rules = Array.isArray(showIf) ? showIf : [showIf];
+    return rules.every(rule => {
+      const value = isFieldVisible(rule.field, seen) ? getFieldValue(rule.field) : '';
+      if (rule.in) return rule.in.includes(value);
+      if (rule.notIn) return !rule.notIn.includes(value);
+      return true;
+    });
+  }
+
+  // Steps with no visible fields are skipped
+  function getActiveSteps() {
+    return Object.keys(stepFields)
+      .map(Number)
+      .filter(step => stepFields[step].some(name => isFieldVisible(name)));
+  }
+
+  function applyFieldRules() {
+    Object.keys(fieldsByName).forEach(name => {
+      const field = document.querySelector(`#vip-application-form [name="${name}"]`);
+      const group = field && field.closest('.form-group');
+      if (group) group.hidden = !isFieldVisible(name);
+    });
+    updateProgress();
   }
 
   function validateStep(step) {
@@ -68,18 +527,16 @@
 
     fields.forEach(fieldName => {
       const field = document.querySelector(`[name="${fieldName}"]`);
-      if (!field) return;
+      if (!field || !isFieldVisible(fieldName)) return;
 
-      const isRequired = requiredFields.includes(fieldName);
+      const rules = fieldsByName[fieldName];
       const value = field.value.trim();
 
       // Clear previous errors
-      field.classList.remove('error');
-      const errorEl = field.parentElement.querySelector('.field-error');
-      if (errorEl) errorEl.remove();
+      clearFieldError(field);
 
       // Validate required fields
-      if (isRequired && !value) {
+      if (rules.required && !value) {
         valid = false;
         showFieldError(field, 'This field is required');
         if (!firstInvalid) firstInvalid = field;
@@ -87,7 +544,7 @@
       }
 
       // Validate email format
-      if (fieldName === 'email' && value && !isValidEmail(value)) {
+      if (rules.type === 'email' && value && !isValidEmail(value)) {
         valid = false;
         showFieldError(field, 'Please enter a valid email address');
         if (!firstInvalid) firstInvalid = field;
@@ -95,25 +552,32 @@
       }
 
       // Validate phone format
-      if (fieldName === 'phone' && value && !isValidPhone(value)) {
+      if (rules.type === 'phone' && value && !isValidPhone(value)) {
         valid = false;
         showFieldError(field, 'Please enter a valid phone number');
         if (!firstInvalid) firstInvalid = field;
         return;
       }
 
-      // Validate name format (letters, spaces, hyphens, apostrophes only)
-      if ((fieldName === 'firstName' || fieldName === 'lastName') && value && !isValidName(value)) {
+      // Validate the definition's pattern (e.g. letters, spaces, hyphens and apostrophes in names)
+      if (rules.pattern && value && !new RegExp(rules.pattern).test(value)) {
         valid = false;
-        showFieldError(field, 'Name can only contain letters, spaces, hyphens, and apostrophes');
+        showFieldError(field, rules.patternMessage || 'Invalid format');
         if (!firstInvalid) firstInvalid = field;
         return;
       }
 
-      // Validate max length
-      if (maxLengths[fieldName] && value.length > maxLengths[fieldName]) {
+      // Validate length
+      if (rules.maxLength && value.length > rules.maxLength) {
         valid = false;
-        showFieldError(field, `Maximum ${maxLengths[fieldName]} characters allowed`);
+        showFieldError(field, `Maximum ${rules.maxLength} characters allowed`);
+        if (!firstInvalid) firstInvalid = field;
+        return;
+      }
+
+      if (rules.minLength && value && value.length < rules.minLength) {
+        valid = false;
+        showFieldError(field, `Minimum ${rules.minLength} characters required`);
         if (!firstInvalid) firstInvalid = field;
         return;
       }
@@ -134,6 +598,66 @@
     field.parentElement.appendChild(errorEl);
   }
 
+  function clearFieldError(field) {
+    field.classList.remove('error');
+    const errorEl = field.parentElement.querySelector('.field-error');
+    if (errorEl) errorEl.remove();
+  }
+
+  // The server's `errors` map is keyed by field name. Messages go next to their fields and
+  // the form moves to the first step with a problem. Returns false when nothing could be
+  // placed (e.g. an error for a field the page doesn't show), so the caller can fall back to showError.
+  function showServerErrors(errors) {
+    const placed = [];
+
+    Object.entries(errors || {}).forEach(([name, message]) => {
+      const field = document.querySelector(`#vip-application-form [name="${name}"]`);
+      const stepEl = field && field.closest('.form-step');
+      if (!stepEl) return;
+      placed.push({ field, step: Number(stepEl.id.replace('step-', '')), message });
+    });
+
+    if (placed.length === 0) return false;
+
+    const firstStep = Math.min(...placed.map(error => error.step));
+    showStep(firstStep);
+    placed.forEach(({ field, message }) => {
+      clearFieldError(field);
+      showFieldError(field, message);
+    });
+
+    // Focus the first bad field in page order on that step
+    const onStep = placed.filter(error => error.step === firstStep).map(error => error.field);
+    const fields = Array.from(document.querySelectorAll(`#step-${firstStep} [name]`));
+    const first = fields.find(field => onStep.includes(field)) || onStep[0];
+    first.focus({ preventScroll: true });
+    return true;
+  }
+
+  function validateDocuments() {
+    const attachments = definition.attachments;
+    const input = getDocumentsInput();
+    if (!input) return true;
+
+    clearFieldError(input);
+
+    const files = Array.from(input.files || []);
+    let message = null;
+    const maxSizeMb = Math.round(attachments.maxFileSize / (1024 * 1024));
+    if (files.length > attachments.maxFiles) {
+      message = `Attach at most ${attachments.maxFiles} files`;
+    } else {
+      const invalid = files.find(file => !attachments.allowedTypes.includes(file.type) || file.size > attachments.maxFileSize);
+      if (invalid) message = `${invalid.name} must be a ${describeFileTypes(attachments.allowedTypes)} file under ${maxSizeMb} MB`;
+    }
+
+    if (message) {
+      showFieldError(input, message);
+      return false;
+    }
+    return true;
+  }
+
   function isValidEmail(email) {
     return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
   }
@@ -143,9 +667,14 @@
     return /^[\d\s\-\(\)\+]+$/.test(phone);
   }
 
-  function isValidName(name) {
-    // Only letters, spaces, hyphens, apostrophes
-    return /^[a-zA-Z\s'-]+$/.test(name);
+  function getDocumentsInput() {
+    return definition.attachments ? document.getElementById(definition.attachments.name || 'documents') : null;
+  }
+
+  // "application/pdf", "image/jpeg" -> "PDF or JPEG"
+  function describeFileTypes(types) {
+    const names = types.map(type => type.split('/').pop().toUpperCase());
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names.join('');
   }
 
   function handleNext(e) {
@@ -155,20 +684,24 @@
       return;
     }
 
-    if (currentStep < TOTAL_STEPS) {
-      showStep(currentStep + 1);
+    const nextStep = getActiveSteps().find(step => step > currentStep);
+    if (nextStep) {
+      showStep(nextStep);
+      syncDraft();
     }
   }
 
   function handlePrev(e) {
     e.preventDefault();
 
-    if (currentStep > 1) {
-      showStep(currentStep - 1);
+    const prevStep = getActiveSteps().filter(step => step < currentStep).pop();
+    if (prevStep) {
+      showStep(prevStep);
+      syncDraft();
     }
   }
 
-  function showStep(step) {
+  function showStep(step, options = {}) {
     // Hide all steps
     document.querySelectorAll('.form-step').forEach(el => {
       el.style.display = 'none';
@@ -180,14 +713,21 @@
       targetStep.style.display = 'block';
       currentStep = step;
       updateProgress();
+      reportStep(step);
 
       // Scroll to form
-      targetStep.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      if (options.scroll !== false) {
+        targetStep.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }
     }
   }
 
+  // Skipped steps don't count, so the bar reflects the questions this applicant will see
   function updateProgress() {
-    const percentage = Math.round((currentStep / TOTAL_STEPS) * 100);
+    const activeSteps = getActiveSteps();
+    const totalSteps = activeSteps.length;
+    const position = activeSteps.filter(step => step <= currentStep).length;
+    const percentage = Math.round((position / totalSteps) * 100);
 
     const progressBar = document.querySelector('.progress-bar-fill');
     if (progressBar) {
@@ -196,7 +736,7 @@
 
     const progressText = document.querySelector('.progress-text');
     if (progressText) {
-      progressText.textContent = `Step ${currentStep} of ${TOTAL_STEPS}`;
+      progressText.textContent = `Step ${position} of ${totalSteps}`;
     }
 
     const percentageText = document.querySelector('.progress-percentage');
@@ -211,12 +751,25 @@
     const data = {};
 
     for (const [key, value] of formData.entries()) {
+      // Files are sent as attachments, not form data
+      if (value instanceof File) continue;
+      // Answers to questions the applicant no longer sees are dropped
+      if (!isFieldVisible(key)) continue;
       data[key] = value;
     }
 
     // Add timestamp for timing validation (spam prevention)
     data._timestamp = formLoadTime.toString();
 
+    // Lets the server delete the saved draft once the application is in
+    if (draftToken) data.draftToken = draftToken;
+    if (funnelSessionId) data.funnelSessionId = funnelSessionId;
+
+    if (challenge) {
+      delete data['cf-turnstile-response'];
+      data.challengeToken = challenge.getToken();
+    }
+
     return data;
   }
 
@@ -224,7 +777,12 @@
     e.preventDefault();
 
     // Validate final step
-    if (!validateStep(currentStep)) {
+    if (!validateStep(currentStep) || !validateDocuments()) {
+      return;
+    }
+
+    if (challenge && !challenge.getToken()) {
+      showError('Please complete the verification challenge.');
       return;
     }
 
@@ -237,21 +795,36 @@
       submitBtn.textContent = 'Submitting...';
 
       const formData = collectFormData();
+      const documentsInput = getDocumentsInput();
+      const documents = Array.from(documentsInput?.files || []);
+
+      // Send multipart only when documents are attached; the JSON goes in a `payload` part
+      let request = {
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formData),
+      };
+      if (documents.length > 0) {
+        const body = new FormData();
+        body.append('payload', JSON.stringify(formData));
+        documents.forEach(file => body.append(documentsInput.name, file, file.name));
+        request = { headers: {}, body };
+      }
 
       const response = await fetch('/api/contact', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(formData),
+        headers: request.headers,
+        body: request.body,
       });
 
       const result = await response.json();
 
       if (result.success) {
+        clearLocalDraft();
         showSuccess();
       } else {
-        showError(result.error || 'Something went wrong. Please try again.');
+        if (!showServerErrors(result.errors)) {
+          showError(result.error || 'Something went wrong. Please try again.');
+        }
         submitBtn.disabled = false;
         submitBtn.textContent = originalText;
       }
@@ -260,6 +833,9 @@
       showError('Network error. Please check your connection and try again.');
       submitBtn.disabled = false;
       submitBtn.textContent = originalText;
+    } finally {
+      // Challenge tokens are single use
+      if (challenge) challenge.reset();
     }
   }
 
@@ -276,16 +852,18 @@
     }
   }
 
-  function showError(message) {
+  function showError(message, options = {}) {
     const errorContainer = document.querySelector('.form-error');
     if (errorContainer) {
       errorContainer.textContent = message;
       errorContainer.style.display = 'block';
 
       // Hide after 5 seconds
-      setTimeout(() => {
-        errorContainer.style.display = 'none';
-      }, 5000);
+      if (!options.persist) {
+        setTimeout(() => {
+          errorContainer.style.display = 'none';
+        }, 5000);
+      }
     } else {
       alert(message);
     }
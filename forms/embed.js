@@ -0,0 +1,410 @@
+/**
+ * Drop-in embed for /api/forms/submit.
+ *
+ *   <script src="https://topfundmanager.com/forms/embed.js" defer></script>
+ *   <form data-tfm-site="my-site" data-tfm-form="contact" data-tfm-key="tfm_...">...</form>
+ *
+ * Forms carrying `data-tfm-site` are bound automatically unless they also set `data-tfm-manual`.
+ * `window.TFMForms` exposes bind/submit/serialize for custom handling, and mountChallenge for
+ * pages that post elsewhere but still need the site's verification challenge.
+ */
+(function() {
+  'use strict';
+
+  const HONEYPOT_NAME = '_tfm_hp';
+  const CHALLENGE_FIELD = 'cf-turnstile-response';
+  const LOCAL_CHALLENGE_TOKEN = 'local-pass';
+  const TURNSTILE_SCRIPT = 'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit';
+  const CHALLENGE_REQUIRED = 'Please complete the verification challenge.';
+  const DEFAULT_SUCCESS = 'Thanks! Your submission has been received.';
+  const DEFAULT_ERROR = 'Something went wrong. Please try again.';
+
+  const script = document.currentScript;
+  const scriptOrigin = script && script.src ? new URL(script.src, window.location.href).origin : window.location.origin;
+  const defaultEndpoint = `${scriptOrigin}/api/forms/submit`;
+  const configEndpoint = `${scriptOrigin}/api/forms/config`;
+  const bound = new WeakMap();
+  let turnstileLoader = null;
+
+  function injectStyles() {
+    if (document.getElementById('tfm-embed-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'tfm-embed-styles';
+    style.textContent = [
+      '.tfm-hp{position:absolute!important;left:-10000px!important;width:1px;height:1px;overflow:hidden;}',
+      '.tfm-status{margin-top:12px;font-size:14px;}',
+      '.tfm-challenge{margin:12px 0;}',
+      '.tfm-status[hidden]{display:none;}',
+      '.tfm-status--success{color:#15803d;}',
+      '.tfm-status--error{color:#b91c1c;}',
+      '.tfm-field-error{display:block;margin-top:4px;font-size:13px;color:#b91c1c;}',
+      '[aria-invalid="true"]{border-color:#b91c1c!important;}',
+    ].join('\n');
+    document.head.appendChild(style);
+  }
+
+  function fieldName(element) {
+    return element.name.endsWith('[]') ? element.name.slice(0, -2) : element.name;
+  }
+
+  /**
+   * Serialize a form into a plain object. Checkbox groups and multi-selects become arrays;
+   * a lone checkbox without a `value` attribute becomes true/false. File inputs are sent
+   * separately as attachments.
+   */
+  function serialize(form) {
+    const data = {};
+    const elements = Array.from(form.elements).filter(
+      (element) =>
+        element.name &&
+        element.name !== HONEYPOT_NAME &&
+        element.name !== CHALLENGE_FIELD &&
+        !element.disabled &&
+        !['submit', 'button', 'reset', 'file'].includes(element.type)
+    );
+
+    const checkboxCounts = {};
+    elements.forEach((element) => {
+      if (element.type === 'checkbox') {
+        checkboxCounts[element.name] = (checkboxCounts[element.name] || 0) + 1;
+      }
+    });
+
+    elements.forEach((element) => {
+      const name = fieldName(element);
+
+      if (element.type === 'checkbox') {
+        const isFlag = checkboxCounts[element.name] === 1 && !element.name.endsWith('[]') && !element.hasAttribute('value');
+        if (isFlag) {
+          data[name] = element.checked;
+          return;
+        }
+        if (!Array.isArray(data[name])) data[name] = [];
+        if (element.checked) data[name].push(element.value);
+        return;
+      }
+
+      if (element.type === 'radio') {
+        if (!(name in data)) data[name] = null;
+        if (element.checked) data[name] = element.value;
+        return;
+      }
+
+      if (element.tagName === 'SELECT' && element.multiple) {
+        data[name] = Array.from(element.selectedOptions).map((option) => option.value);
+        return;
+      }
+
+      data[name] = element.value;
+    });
+
+    return data;
+  }
+
+  function collectFiles(form) {
+    const files = [];
+    form.querySelectorAll('input[type="file"][name]').forEach((input) => {
+      if (input.disabled) return;
+      Array.from(input.files || []).forEach((file) => files.push([fieldName(input), file]));
+    });
+    return files;
+  }
+
+  // JSON normally; multipart with the JSON in a `payload` part when files are attached.
+  function buildRequestBody(payload, files) {
+    if (files.length === 0) {
+      return { body: JSON.stringify(payload), headers: { 'Content-Type': 'application/json' } };
+    }
+    const body = new FormData();
+    body.append('payload', JSON.stringify(payload));
+    files.forEach(([name, file]) => body.append(name, file, file.name));
+    return { body, headers: {} };
+  }
+
+  function ensureStatus(form) {
+    let status = form.querySelector('[data-tfm-status]');
+    if (!status) {
+      status = document.createElement('div');
+      status.setAttribute('data-tfm-status', '');
+      form.appendChild(status);
+    }
+    status.classList.add('tfm-status');
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+    status.hidden = true;
+    return status;
+  }
+
+  function addHoneypot(form) {
+    if (form.querySelector(`[name="${HONEYPOT_NAME}"]`)) return;
+    const wrapper = document.createElement('div');
+    wrapper.className = 'tfm-hp';
+    wrapper.setAttribute('aria-hidden', 'true');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = HONEYPOT_NAME;
+    input.tabIndex = -1;
+    input.autocomplete = 'off';
+    wrapper.appendChild(input);
+    form.appendChild(wrapper);
+  }
+
+  function setStatus(state, type, message) {
+    state.status.textContent = message;
+    state.status.className = `tfm-status tfm-status--${type}`;
+    state.status.hidden = !message;
+  }
+
+  function clearFieldErrors(form) {
+    form.querySelectorAll('.tfm-field-error').forEach((element) => element.remove());
+    form.querySelectorAll('[aria-invalid="true"]').forEach((element) => element.removeAttribute('aria-invalid'));
+  }
+
+  function showFieldErrors(form, errors) {
+    Object.entries(errors || {}).forEach(([name, message]) => {
+      const fields = form.querySelectorAll(`[name="${CSS.escape(name)}"], [name="${CSS.escape(name)}[]"]`);
+      if (fields.length === 0) return;
+      fields.forEach((field) => field.setAttribute('aria-invalid', 'true'));
+      const last = fields[fields.length - 1];
+      const hint = document.createElement('span');
+      hint.className = 'tfm-field-error';
+      hint.textContent = message;
+      (last.closest('label') || last).insertAdjacentElement('afterend', hint);
+    });
+  }
+
+  function loadTurnstile() {
+    if (window.turnstile) return Promise.resolve(window.turnstile);
+    if (!turnstileLoader) {
+      turnstileLoader = new Promise((resolve, reject) => {
+        const tag = document.createElement('script');
+        tag.src = TURNSTILE_SCRIPT;
+        tag.async = true;
+        tag.onload = () => resolve(window.turnstile);
+        tag.onerror = () => reject(new Error('Unable to load the verification challenge.'));
+        document.head.appendChild(tag);
+      });
+    }
+    return turnstileLoader;
+  }
+
+  function fetchChallengeConfig(siteId) {
+    return fetch(`${configEndpoint}?siteId=${encodeURIComponent(siteId)}`)
+      .then((response) => response.json())
+      .then((body) => (body && body.challenge) || { required: false });
+  }
+
+  /**
+   * Render a challenge widget into `container`. `config` is the `challenge` object from
+   * /api/forms/config. Resolves to `{ getToken(), reset() }`; the token is single use, so
+   * call reset() after every submission attempt.
+   */
+  async function mountChallenge(container, config) {
+    if (!config || !config.required) {
+      return { getToken: () => null, reset: () => {} };
+    }
+
+    container.classList.add('tfm-challenge');
+
+    if (config.provider === 'local') {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(' I am not a robot (local challenge)'));
+      container.appendChild(label);
+      return {
+        getToken: () => (checkbox.checked ? LOCAL_CHALLENGE_TOKEN : null),
+        reset: () => {
+          checkbox.checked = false;
+        },
+      };
+    }
+
+    const turnstile = await loadTurnstile();
+    let token = null;
+    const widgetId = turnstile.render(container, {
+      sitekey: config.siteKey,
+      callback: (value) => {
+        token = value;
+      },
+      'expired-callback': () => {
+        token = null;
+      },
+    });
+    return {
+      getToken: () => token,
+      reset: () => {
+        token = null;
+        turnstile.reset(widgetId);
+      },
+    };
+  }
+
+  function setupChallenge(form, state) {
+    state.challengeReady = fetchChallengeConfig(state.options.siteId)
+      .then((config) => {
+        if (!config.required) return null;
+        let container = form.querySelector('[data-tfm-challenge]');
+        if (!container) {
+          container = document.createElement('div');
+          container.setAttribute('data-tfm-challenge', '');
+          const submitButton = form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+          // The button is often wrapped in a div, so insert next to it rather than into the form.
+          const anchor = submitButton || state.status;
+          if (anchor && anchor.parentNode) {
+            anchor.parentNode.insertBefore(container, anchor);
+          } else {
+            form.appendChild(container);
+          }
+        }
+        return mountChallenge(container, config);
+      })
+      .catch((error) => {
+        console.error('TFMForms challenge error:', error);
+        return null;
+      });
+  }
+
+  function emit(form, name, detail) {
+    return form.dispatchEvent(new CustomEvent(`tfm:${name}`, { detail, bubbles: true, cancelable: true }));
+  }
+
+  async function submit(form) {
+    const state = bound.get(form);
+    if (!state) throw new Error('Form is not bound to TFMForms.');
+    if (state.submitting) return null;
+
+    const { options } = state;
+    let data = serialize(form);
+    if (typeof options.beforeSubmit === 'function') {
+      data = (await options.beforeSubmit(data, form)) || data;
+    }
+    if (!emit(form, 'submit', { data })) return null;
+
+    const challenge = await state.challengeReady;
+    const challengeToken = challenge ? challenge.getToken() : null;
+    if (challenge && !challengeToken) {
+      setStatus(state, 'error', CHALLENGE_REQUIRED);
+      return { ok: false, status: 0, error: CHALLENGE_REQUIRED };
+    }
+
+    const honeypot = form.querySelector(`[name="${HONEYPOT_NAME}"]`);
+    const payload = {
+      siteId: options.siteId,
+      formId: options.formId || null,
+      data,
+      challengeToken,
+      meta: {
+        pageUrl: window.location.href,
+        referrer: document.referrer || null,
+        loadedAt: state.loadedAt,
+        honeypot: honeypot ? honeypot.value : '',
+      },
+    };
+
+    const submitButtons = form.querySelectorAll('button[type="submit"], input[type="submit"], button:not([type])');
+    state.submitting = true;
+    form.setAttribute('data-tfm-state', 'submitting');
+    submitButtons.forEach((button) => (button.disabled = true));
+    clearFieldErrors(form);
+    setStatus(state, 'info', '');
+
+    let result;
+    try {
+      const request = buildRequestBody(payload, collectFiles(form));
+      const response = await fetch(options.endpoint, {
+        method: 'POST',
+        headers: Object.assign({ 'X-Forms-Site-Key': options.siteKey || '' }, request.headers),
+        body: request.body,
+      });
+      const body = await response.json().catch(() => ({}));
+      result = { ok: response.ok && body.success !== false, status: response.status, ...body };
+    } catch (error) {
+      result = { ok: false, status: 0, error: 'Network error. Please check your connection and try again.' };
+    } finally {
+      state.submitting = false;
+      submitButtons.forEach((button) => (button.disabled = false));
+      if (challenge) challenge.reset();
+    }
+
+    if (result.ok) {
+      form.setAttribute('data-tfm-state', 'success');
+      if (emit(form, 'success', result)) {
+        setStatus(state, 'success', options.successMessage);
+        if (options.resetOnSuccess) form.reset();
+      }
+      if (typeof options.onSuccess === 'function') options.onSuccess(result, form);
+    } else {
+      form.setAttribute('data-tfm-state', 'error');
+      if (emit(form, 'error', result)) {
+        showFieldErrors(form, result.errors);
+        setStatus(state, 'error', result.error || options.errorMessage);
+      }
+      if (typeof options.onError === 'function') options.onError(result, form);
+    }
+
+    return result;
+  }
+
+  /**
+   * Bind a form. Options default to the form's data attributes:
+   * siteId (data-tfm-site), formId (data-tfm-form), siteKey (data-tfm-key),
+   * endpoint (data-tfm-endpoint), successMessage (data-tfm-success), errorMessage (data-tfm-error),
+   * resetOnSuccess (data-tfm-reset="false" disables), plus beforeSubmit/onSuccess/onError callbacks.
+   */
+  function bind(form, overrides) {
+    if (bound.has(form)) return bound.get(form);
+
+    const dataset = form.dataset;
+    const options = Object.assign(
+      {
+        siteId: dataset.tfmSite,
+        formId: dataset.tfmForm,
+        siteKey: dataset.tfmKey,
+        endpoint: dataset.tfmEndpoint || defaultEndpoint,
+        successMessage: dataset.tfmSuccess || DEFAULT_SUCCESS,
+        errorMessage: dataset.tfmError || DEFAULT_ERROR,
+        resetOnSuccess: dataset.tfmReset !== 'false',
+      },
+      overrides || {}
+    );
+
+    if (!options.siteId) throw new Error('TFMForms: a siteId (data-tfm-site) is required.');
+
+    injectStyles();
+    addHoneypot(form);
+
+    const state = { options, loadedAt: Date.now(), submitting: false, status: ensureStatus(form) };
+    bound.set(form, state);
+    setupChallenge(form, state);
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      submit(form).catch((error) => {
+        console.error('TFMForms submit error:', error);
+        setStatus(state, 'error', options.errorMessage);
+      });
+    });
+
+    return state;
+  }
+
+  function scan(root) {
+    (root || document).querySelectorAll('form[data-tfm-site]:not([data-tfm-manual])').forEach((form) => {
+      try {
+        bind(form);
+      } catch (error) {
+        console.error(error);
+      }
+    });
+  }
+
+  window.TFMForms = { bind, submit, serialize, scan, mountChallenge, fetchChallengeConfig };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => scan());
+  } else {
+    scan();
+  }
+})();
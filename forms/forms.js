@@ -17,7 +17,11 @@ const apiRequest = async (path, options = {}) => {
 
   if (!response.ok || data.success === false) {
     const message = data.error || data.message || 'Request failed';
-    throw new Error(message);
+    const error = new Error(message);
+    error.status = response.status;
+    error.retryAfter = Number.parseInt(response.headers.get('retry-after') || data.retryAfter || '0', 10) || 0;
+    error.data = data;
+    throw error;
   }
 
   return data;
@@ -36,13 +40,90 @@ const clearAlert = (element) => {
   element.hidden = true;
 };
 
+const formatLabel = (key) => {
+  if (!key) return 'Field';
+  return key
+    .replace(/[_-]+/g, ' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/\b\w/g, (char) => char.toUpperCase());
+};
+
+const bindLogout = (button, alertElement) => {
+  if (!button) return;
+  button.addEventListener('click', async () => {
+    try {
+      await apiRequest('/api/forms/logout', { method: 'POST' });
+    } catch (error) {
+      setAlert(alertElement, error.message || 'Unable to log out.');
+    } finally {
+      window.location.href = '/forms/index.html';
+    }
+  });
+};
+
+const renderRecoveryCodes = (list, codes) => {
+  list.innerHTML = '';
+  codes.forEach((code) => {
+    const item = document.createElement('li');
+    item.textContent = code;
+    list.appendChild(item);
+  });
+};
+
 const loginForm = document.getElementById('login-form');
 const verifyForm = document.getElementById('verify-form');
 const resendButton = document.getElementById('resend');
 const alertBox = document.getElementById('alert');
+const mfaForm = document.getElementById('mfa-form');
+const mfaEnrollForm = document.getElementById('mfa-enroll-form');
+const mfaRecovery = document.getElementById('mfa-recovery');
 
 let activeEmail = '';
 let activeChallenge = '';
+let activeMfaToken = '';
+let useRecoveryCode = false;
+let cooldownTimer = null;
+
+const formatWait = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const remainder = String(seconds % 60).padStart(2, '0');
+  return minutes > 0 ? `${minutes}:${remainder} minutes` : `${seconds} seconds`;
+};
+
+// Disable the login buttons and count down the server's Retry-After so admins know when to try again.
+const startCooldown = (seconds, message) => {
+  const buttons = document.querySelectorAll('#login-form button, #verify-form button, #mfa-form button');
+  const endsAt = Date.now() + seconds * 1000;
+  clearInterval(cooldownTimer);
+
+  const tick = () => {
+    const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+    if (remaining <= 0) {
+      clearInterval(cooldownTimer);
+      buttons.forEach((button) => {
+        button.disabled = false;
+      });
+      setAlert(alertBox, 'You can try again now.', 'success');
+      return;
+    }
+    buttons.forEach((button) => {
+      button.disabled = true;
+    });
+    setAlert(alertBox, `${message} Try again in ${formatWait(remaining)}.`);
+  };
+
+  tick();
+  cooldownTimer = setInterval(tick, 1000);
+};
+
+const handleAuthError = (error, fallback) => {
+  if (error.status === 429 && error.retryAfter) {
+    startCooldown(error.retryAfter, error.message || 'Too many attempts.');
+    return true;
+  }
+  setAlert(alertBox, error.message || fallback);
+  return false;
+};
 
 if (loginForm) {
   loginForm.addEventListener('submit', async (event) => {
@@ -71,10 +152,11 @@ if (loginForm) {
       loginForm.hidden = true;
       verifyForm.hidden = false;
       setAlert(alertBox, 'Code sent. Check your email.', 'success');
-    } catch (error) {
-      setAlert(alertBox, error.message || 'Unable to send code.');
-    } finally {
       submitButton.disabled = false;
+    } catch (error) {
+      if (!handleAuthError(error, 'Unable to send code.')) {
+        submitButton.disabled = false;
+      }
     }
   });
 }
@@ -103,7 +185,7 @@ if (verifyForm) {
     submitButton.disabled = true;
 
     try {
-      await apiRequest('/api/forms/verify', {
+      const data = await apiRequest('/api/forms/verify', {
         method: 'POST',
         body: JSON.stringify({
           email: activeEmail,
@@ -112,11 +194,124 @@ if (verifyForm) {
         }),
       });
 
+      if (data.mfaRequired) {
+        activeMfaToken = data.mfaToken;
+        verifyForm.hidden = true;
+        if (data.enrolled) {
+          mfaForm.hidden = false;
+          setAlert(alertBox, 'Enter the code from your authenticator app.', 'success');
+        } else {
+          await startMfaEnrollment();
+        }
+        return;
+      }
+
       window.location.href = '/forms/dashboard.html';
     } catch (error) {
-      setAlert(alertBox, error.message || 'Verification failed.');
-    } finally {
+      if (handleAuthError(error, 'Verification failed.')) return;
+      submitButton.disabled = false;
+
+      if (error.data?.attemptsRemaining) {
+        const remaining = error.data.attemptsRemaining;
+        setAlert(alertBox, `${error.message} ${remaining} attempt${remaining === 1 ? '' : 's'} left.`);
+      }
+    }
+  });
+}
+
+// Enrolment during login: the server asks for it when a site requires two-factor authentication.
+const startMfaEnrollment = async () => {
+  const data = await apiRequest('/api/forms/me/mfa/setup', {
+    method: 'POST',
+    body: JSON.stringify({ mfaToken: activeMfaToken }),
+  });
+  document.getElementById('mfa-secret').value = data.secret;
+  document.getElementById('mfa-otpauth').href = data.otpauthUri;
+  mfaEnrollForm.hidden = false;
+  clearAlert(alertBox);
+};
+
+const restartLogin = (message) => {
+  activeMfaToken = '';
+  [verifyForm, mfaForm, mfaEnrollForm].forEach((form) => {
+    if (form) form.hidden = true;
+  });
+  loginForm.hidden = false;
+  setAlert(alertBox, message);
+};
+
+if (mfaForm) {
+  const codeInput = mfaForm.querySelector('input[name="code"]');
+  const codeLabel = document.getElementById('mfa-code-label');
+  const recoveryToggle = document.getElementById('mfa-use-recovery');
+
+  recoveryToggle.addEventListener('click', () => {
+    useRecoveryCode = !useRecoveryCode;
+    codeLabel.textContent = useRecoveryCode ? 'Recovery code' : 'Authenticator code';
+    recoveryToggle.textContent = useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code';
+    codeInput.inputMode = useRecoveryCode ? 'text' : 'numeric';
+    codeInput.maxLength = useRecoveryCode ? 20 : 6;
+    codeInput.value = '';
+    codeInput.focus();
+  });
+
+  mfaForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    clearAlert(alertBox);
+
+    const code = codeInput.value.trim();
+    if (!code) return;
+
+    const submitButton = mfaForm.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+      const data = await apiRequest('/api/forms/verify-mfa', {
+        method: 'POST',
+        body: JSON.stringify(
+          useRecoveryCode ? { mfaToken: activeMfaToken, recoveryCode: code } : { mfaToken: activeMfaToken, code }
+        ),
+      });
+
+      if (useRecoveryCode && data.recoveryCodesRemaining <= 2) {
+        window.alert(
+          `You have ${data.recoveryCodesRemaining} recovery code${data.recoveryCodesRemaining === 1 ? '' : 's'} left. Generate new ones from the dashboard.`
+        );
+      }
+      window.location.href = '/forms/dashboard.html';
+    } catch (error) {
+      if (handleAuthError(error, 'Verification failed.')) return;
+      submitButton.disabled = false;
+      if (error.status === 401 && /expired/i.test(error.message)) {
+        restartLogin(error.message);
+      }
+    }
+  });
+}
+
+if (mfaEnrollForm) {
+  mfaEnrollForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    clearAlert(alertBox);
+
+    const submitButton = mfaEnrollForm.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+      const data = await apiRequest('/api/forms/me/mfa/confirm', {
+        method: 'POST',
+        body: JSON.stringify({ mfaToken: activeMfaToken, code: mfaEnrollForm.querySelector('input[name="code"]').value.trim() }),
+      });
+      mfaEnrollForm.hidden = true;
+      renderRecoveryCodes(document.getElementById('mfa-recovery-codes'), data.recoveryCodes || []);
+      mfaRecovery.hidden = false;
+    } catch (error) {
       submitButton.disabled = false;
+      if (error.status === 401) {
+        restartLogin(error.message);
+        return;
+      }
+      setAlert(alertBox, error.message || 'Unable to turn on two-factor authentication.');
     }
   });
 }
@@ -139,10 +334,11 @@ if (resendButton) {
 
       activeChallenge = data.challengeId;
       setAlert(alertBox, 'New code sent.', 'success');
-    } catch (error) {
-      setAlert(alertBox, error.message || 'Unable to resend code.');
-    } finally {
       resendButton.disabled = false;
+    } catch (error) {
+      if (!handleAuthError(error, 'Unable to resend code.')) {
+        resendButton.disabled = false;
+      }
     }
   });
 }
@@ -153,14 +349,62 @@ if (dashboardRoot) {
   const adminEmail = document.getElementById('admin-email');
   const submissionsBody = document.getElementById('submissions-body');
   const siteFilter = document.getElementById('site-filter');
+  const statusFilter = document.getElementById('status-filter');
+  const formFilter = document.getElementById('form-filter');
+  const fromFilter = document.getElementById('from-filter');
+  const toFilter = document.getElementById('to-filter');
+  const searchFilter = document.getElementById('search-filter');
   const submissionCount = document.getElementById('submission-count');
   const dashboardAlert = document.getElementById('dashboard-alert');
   const refreshButton = document.getElementById('refresh');
+  const loadMoreButton = document.getElementById('load-more');
+  const exportFormat = document.getElementById('export-format');
+  const exportButton = document.getElementById('export');
   const logoutButton = document.getElementById('logout');
+  const deliveriesBody = document.getElementById('deliveries-body');
+  const deliveriesAlert = document.getElementById('deliveries-alert');
+  const refreshDeliveriesButton = document.getElementById('refresh-deliveries');
+  const funnelBody = document.getElementById('funnel-body');
+  const funnelSummary = document.getElementById('funnel-summary');
+  const funnelAlert = document.getElementById('funnel-alert');
+  const abandonedBody = document.getElementById('abandoned-body');
+  const sessionsBody = document.getElementById('sessions-body');
+  const sessionsAlert = document.getElementById('sessions-alert');
+  const revokeOthersButton = document.getElementById('revoke-other-sessions');
+  const mfaStatus = document.getElementById('mfa-status');
+  const mfaAlert = document.getElementById('mfa-alert');
+  const mfaStart = document.getElementById('mfa-start');
+  const mfaSetupButton = document.getElementById('mfa-setup');
+  const mfaSetupForm = document.getElementById('mfa-setup-form');
+  const mfaManageForm = document.getElementById('mfa-manage-form');
+  const mfaDisableButton = document.getElementById('mfa-disable');
+  const mfaCodes = document.getElementById('mfa-codes');
+  const statusHeading = document.getElementById('status-heading');
+  const spamTabs = Array.from(document.querySelectorAll('.forms-tab[data-spam]'));
+
+  const adminsLink = document.getElementById('admins-link');
+  const sitesLink = document.getElementById('sites-link');
+  const auditLink = document.getElementById('audit-link');
+
+  let adminRoles = {};
+  let loadedSubmissions = [];
+  let nextCursor = null;
+  let searchTimer = null;
+  let spamView = 'exclude';
 
   const loadSession = async () => {
     const data = await apiRequest('/api/forms/me');
     adminEmail.textContent = data.email;
+    adminRoles = data.roles || {};
+    adminsLink.hidden = !data.isOwner;
+    sitesLink.hidden = !data.isOwner;
+    auditLink.hidden = !data.isOwner;
+  };
+
+  const ROLE_RANK = ['viewer', 'editor', 'owner'];
+  const canEditSite = (siteId) => {
+    const rank = Math.max(ROLE_RANK.indexOf(adminRoles[siteId]), ROLE_RANK.indexOf(adminRoles['*']));
+    return rank >= ROLE_RANK.indexOf('editor');
   };
 
   const loadSites = async () => {
@@ -175,14 +419,6 @@ if (dashboardRoot) {
     });
   };
 
-  const formatLabel = (key) => {
-    if (!key) return 'Field';
-    return key
-      .replace(/[_-]+/g, ' ')
-      .replace(/([a-z])([A-Z])/g, '$1 $2')
-      .replace(/\b\w/g, (char) => char.toUpperCase());
-  };
-
   const formatValue = (value) => {
     if (value === null || value === undefined) return '—';
     if (typeof value === 'boolean') return value ? 'Yes' : 'No';
@@ -241,14 +477,155 @@ if (dashboardRoot) {
     return grid;
   };
 
+  const formatSize = (bytes) => {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  };
+
+  // Download links are signed and expire within minutes, so fetch them on click.
+  const downloadAttachment = async (item, attachment) => {
+    const data = await apiRequest(`/api/forms/submissions/${encodeURIComponent(item.id)}/attachments`);
+    const match = (data.attachments || []).find((entry) => entry.id === attachment.id);
+    if (!match) throw new Error('Attachment not found.');
+    const link = document.createElement('a');
+    link.href = match.url;
+    link.rel = 'noopener';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  };
+
+  const buildAttachmentList = (item) => {
+    const list = document.createElement('div');
+    list.className = 'forms-attachments';
+    const label = document.createElement('div');
+    label.className = 'forms-data-label';
+    label.textContent = 'Attachments';
+    list.appendChild(label);
+
+    item.attachments.forEach((attachment) => {
+      const button = document.createElement('button');
+      button.className = 'forms-button secondary';
+      button.type = 'button';
+      button.textContent = `${attachment.name} (${formatSize(attachment.size)})`;
+      button.addEventListener('click', async () => {
+        button.disabled = true;
+        clearAlert(dashboardAlert);
+        try {
+          await downloadAttachment(item, attachment);
+        } catch (error) {
+          setAlert(dashboardAlert, error.message || 'Unable to download attachment.');
+        } finally {
+          button.disabled = false;
+        }
+      });
+      list.appendChild(button);
+    });
+
+    return list;
+  };
+
+  const updateStatus = async (item, status) => {
+    const data = await apiRequest(`/api/forms/submissions/${encodeURIComponent(item.id)}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status }),
+    });
+
+    Object.assign(item, data.submission, { next_statuses: data.nextStatuses || [] });
+
+    const hidden =
+      (statusFilter.value === 'active' && item.status === 'archived') ||
+      (!['active', 'all'].includes(statusFilter.value) && statusFilter.value !== item.status);
+    if (hidden) {
+      loadedSubmissions = loadedSubmissions.filter((entry) => entry !== item);
+    }
+    renderSubmissions(loadedSubmissions);
+  };
+
+  const buildStatusCell = (item) => {
+    const cell = document.createElement('td');
+    const currentStatus = item.status || 'new';
+    const select = document.createElement('select');
+    select.className = `forms-status forms-status-${currentStatus}`;
+    select.setAttribute('aria-label', 'Submission status');
+
+    [currentStatus, ...(item.next_statuses || [])].forEach((status) => {
+      const option = document.createElement('option');
+      option.value = status;
+      option.textContent = formatLabel(status);
+      select.appendChild(option);
+    });
+
+    select.disabled = !canEditSite(item.site_id) || !item.next_statuses || item.next_statuses.length === 0;
+    select.addEventListener('change', async () => {
+      select.disabled = true;
+      clearAlert(dashboardAlert);
+      try {
+        await updateStatus(item, select.value);
+      } catch (error) {
+        select.value = currentStatus;
+        select.disabled = false;
+        setAlert(dashboardAlert, error.message || 'Unable to update status.');
+      }
+    });
+
+    cell.appendChild(select);
+
+    if (item.status_changed_by) {
+      const meta = document.createElement('div');
+      meta.className = 'forms-status-meta';
+      meta.textContent = `${item.status_changed_by} · ${new Date(item.status_changed_at).toLocaleString()}`;
+      cell.appendChild(meta);
+    }
+
+    return cell;
+  };
+
+  const releaseSubmission = async (item) => {
+    await apiRequest(`/api/forms/submissions/${encodeURIComponent(item.id)}/release`, { method: 'POST' });
+    loadedSubmissions = loadedSubmissions.filter((entry) => entry !== item);
+    renderSubmissions(loadedSubmissions);
+    setAlert(dashboardAlert, 'Submission released to the inbox.', 'success');
+  };
+
+  const buildSpamCell = (item) => {
+    const cell = document.createElement('td');
+    const score = document.createElement('strong');
+    score.textContent = `Score ${item.spam_score ?? 0}`;
+    const reasons = document.createElement('div');
+    reasons.className = 'forms-spam-reasons';
+    reasons.textContent = (item.spam_reasons || []).join(', ') || 'No reasons recorded';
+
+    const releaseButton = document.createElement('button');
+    releaseButton.className = 'forms-button secondary';
+    releaseButton.textContent = 'Not spam';
+    releaseButton.disabled = !canEditSite(item.site_id);
+    releaseButton.addEventListener('click', async () => {
+      releaseButton.disabled = true;
+      clearAlert(dashboardAlert);
+      try {
+        await releaseSubmission(item);
+      } catch (error) {
+        releaseButton.disabled = false;
+        setAlert(dashboardAlert, error.message || 'Unable to release submission.');
+      }
+    });
+
+    cell.appendChild(score);
+    cell.appendChild(reasons);
+    cell.appendChild(releaseButton);
+    return cell;
+  };
+
   const renderSubmissions = (items) => {
     submissionsBody.innerHTML = '';
+    statusHeading.textContent = spamView === 'only' ? 'Spam' : 'Status';
 
     if (!items.length) {
       const row = document.createElement('tr');
       const cell = document.createElement('td');
-      cell.colSpan = 5;
-      cell.textContent = 'No submissions yet.';
+      cell.colSpan = 6;
+      cell.textContent = spamView === 'only' ? 'No quarantined submissions.' : 'No submissions yet.';
       row.appendChild(cell);
       submissionsBody.appendChild(row);
       submissionCount.textContent = '0 submissions';
@@ -274,36 +651,350 @@ if (dashboardRoot) {
       const details = document.createElement('details');
       details.className = 'forms-details';
       const summary = document.createElement('summary');
-      summary.textContent = buildPreview(item.data);
+      const attachmentCount = (item.attachments || []).length;
+      summary.textContent = attachmentCount
+        ? `${buildPreview(item.data)} · ${attachmentCount} attachment${attachmentCount === 1 ? '' : 's'}`
+        : buildPreview(item.data);
       const grid = buildDataGrid(item.data);
       details.appendChild(summary);
       details.appendChild(grid);
+      if (attachmentCount) {
+        details.appendChild(buildAttachmentList(item));
+      }
       previewCell.appendChild(details);
 
       row.appendChild(submittedCell);
       row.appendChild(siteCell);
       row.appendChild(formCell);
+      row.appendChild(spamView === 'only' ? buildSpamCell(item) : buildStatusCell(item));
       row.appendChild(originCell);
       row.appendChild(previewCell);
 
       submissionsBody.appendChild(row);
     });
 
-    submissionCount.textContent = `${items.length} submissions`;
+    submissionCount.textContent = nextCursor ? `${items.length}+ submissions` : `${items.length} submissions`;
   };
 
-  const loadSubmissions = async () => {
+  // Date inputs are local calendar days; send them as exact instants so the range matches what the admin sees.
+  const buildFilterParams = () => {
+    const params = new URLSearchParams();
+    params.set('status', statusFilter.value);
+    params.set('spam', spamView);
+    if (siteFilter.value) {
+      params.set('siteId', siteFilter.value);
+    }
+    if (formFilter.value.trim()) {
+      params.set('formId', formFilter.value.trim());
+    }
+    if (fromFilter.value) {
+      params.set('from', new Date(`${fromFilter.value}T00:00:00`).toISOString());
+    }
+    if (toFilter.value) {
+      params.set('to', new Date(`${toFilter.value}T23:59:59.999`).toISOString());
+    }
+    if (searchFilter.value.trim()) {
+      params.set('search', searchFilter.value.trim());
+    }
+    return params;
+  };
+
+  const loadSubmissions = async ({ append = false } = {}) => {
     clearAlert(dashboardAlert);
-    submissionCount.textContent = 'Loading';
 
-    const params = new URLSearchParams();
+    const params = buildFilterParams();
     params.set('limit', '50');
+    if (append && nextCursor) {
+      params.set('cursor', nextCursor);
+    } else {
+      submissionCount.textContent = 'Loading';
+    }
+
+    loadMoreButton.disabled = true;
+
+    try {
+      const data = await apiRequest(`/api/forms/submissions?${params.toString()}`);
+      const items = data.submissions || [];
+      loadedSubmissions = append ? loadedSubmissions.concat(items) : items;
+      nextCursor = data.nextCursor || null;
+      renderSubmissions(loadedSubmissions);
+    } finally {
+      loadMoreButton.hidden = !nextCursor;
+      loadMoreButton.disabled = false;
+    }
+  };
+
+  const renderDeliveries = (items) => {
+    deliveriesBody.innerHTML = '';
+
+    if (!items.length) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 7;
+      cell.textContent = 'No webhook deliveries yet.';
+      row.appendChild(cell);
+      deliveriesBody.appendChild(row);
+      return;
+    }
+
+    items.forEach((item) => {
+      const row = document.createElement('tr');
+      const cells = [
+        new Date(item.created_at).toLocaleString(),
+        item.site_id,
+        item.forms_webhooks?.url || '—',
+        item.replay_of ? `${formatLabel(item.status)} (replay)` : formatLabel(item.status),
+        String(item.attempts),
+        item.response_status ? String(item.response_status) : item.last_error || '—',
+      ];
+
+      cells.forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const actionCell = document.createElement('td');
+      const replayButton = document.createElement('button');
+      replayButton.className = 'forms-button secondary';
+      replayButton.textContent = 'Replay';
+      replayButton.disabled = !canEditSite(item.site_id);
+      replayButton.addEventListener('click', async () => {
+        replayButton.disabled = true;
+        clearAlert(deliveriesAlert);
+        try {
+          const data = await apiRequest('/api/forms/webhooks/replay', {
+            method: 'POST',
+            body: JSON.stringify({ deliveryId: item.id }),
+          });
+          if (data.delivered) {
+            setAlert(deliveriesAlert, `Replayed (HTTP ${data.responseStatus}).`, 'success');
+          } else {
+            setAlert(deliveriesAlert, `Replay failed: ${data.error || `HTTP ${data.responseStatus}`}`);
+          }
+          await loadDeliveries();
+        } catch (error) {
+          setAlert(deliveriesAlert, error.message || 'Unable to replay webhook.');
+        } finally {
+          replayButton.disabled = false;
+        }
+      });
+      actionCell.appendChild(replayButton);
+      row.appendChild(actionCell);
+
+      deliveriesBody.appendChild(row);
+    });
+  };
+
+  const loadDeliveries = async () => {
+    const params = new URLSearchParams();
+    params.set('limit', '25');
     if (siteFilter.value) {
       params.set('siteId', siteFilter.value);
     }
 
-    const data = await apiRequest(`/api/forms/submissions?${params.toString()}`);
-    renderSubmissions(data.submissions || []);
+    const data = await apiRequest(`/api/forms/webhooks/deliveries?${params.toString()}`);
+    renderDeliveries(data.deliveries || []);
+  };
+
+  const renderEmptyRow = (body, colSpan, message) => {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = colSpan;
+    cell.textContent = message;
+    row.appendChild(cell);
+    body.appendChild(row);
+  };
+
+  const renderFunnel = (funnel) => {
+    funnelBody.innerHTML = '';
+    funnelSummary.textContent = `${funnel.sessions} started · ${funnel.submitted} submitted${funnel.truncated ? ' (latest only)' : ''}`;
+
+    if (!funnel.steps.length) {
+      renderEmptyRow(funnelBody, 4, 'No step activity in this range.');
+      return;
+    }
+
+    funnel.steps.forEach((entry) => {
+      const row = document.createElement('tr');
+      [`Step ${entry.step}`, String(entry.reached), String(entry.droppedOff), `${entry.dropOffRate}%`].forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      funnelBody.appendChild(row);
+    });
+  };
+
+  const renderAbandoned = (items) => {
+    abandonedBody.innerHTML = '';
+
+    if (!items.length) {
+      renderEmptyRow(abandonedBody, 6, 'No abandoned applications.');
+      return;
+    }
+
+    items.forEach((item) => {
+      const data = item.data || {};
+      const row = document.createElement('tr');
+      const name = [data.firstName, data.lastName].filter(Boolean).join(' ') || data.name || '—';
+      const cells = [
+        new Date(item.updated_at).toLocaleString(),
+        item.site_id,
+        name,
+        null,
+        data.phone || '—',
+        `Step ${item.current_step}`,
+      ];
+
+      cells.forEach((text, index) => {
+        const cell = document.createElement('td');
+        if (index === 3) {
+          const link = document.createElement('a');
+          link.href = `mailto:${item.email}`;
+          link.textContent = item.email;
+          cell.appendChild(link);
+        } else {
+          cell.textContent = text;
+        }
+        row.appendChild(cell);
+      });
+
+      abandonedBody.appendChild(row);
+    });
+  };
+
+  const loadFunnel = async () => {
+    clearAlert(funnelAlert);
+    const params = buildFilterParams();
+    ['status', 'spam', 'search'].forEach((key) => params.delete(key));
+
+    const [funnel, abandoned] = await Promise.all([
+      apiRequest(`/api/forms/funnel?${params.toString()}`),
+      apiRequest(`/api/forms/abandoned?${params.toString()}`),
+    ]);
+    renderFunnel(funnel);
+    renderAbandoned(abandoned.applications || []);
+  };
+
+  // A short "Browser on OS" label is enough to tell sessions apart.
+  const describeDevice = (userAgent) => {
+    if (!userAgent) return 'Unknown device';
+    const browser = [
+      ['Edge', /Edg\//],
+      ['Opera', /OPR\//],
+      ['Firefox', /Firefox\//],
+      ['Chrome', /Chrome\//],
+      ['Safari', /Safari\//],
+    ].find(([, pattern]) => pattern.test(userAgent));
+    const os = [
+      ['iOS', /iPhone|iPad/],
+      ['Android', /Android/],
+      ['Windows', /Windows/],
+      ['macOS', /Mac OS X/],
+      ['Linux', /Linux/],
+    ].find(([, pattern]) => pattern.test(userAgent));
+    if (!browser && !os) return userAgent.slice(0, 60);
+    return `${browser ? browser[0] : 'Browser'} on ${os ? os[0] : 'unknown OS'}`;
+  };
+
+  const revokeSessions = async (body) => {
+    clearAlert(sessionsAlert);
+    const data = await apiRequest('/api/forms/me/sessions', {
+      method: 'DELETE',
+      body: JSON.stringify(body),
+    });
+    await loadSessions();
+    return data;
+  };
+
+  const renderSessions = (items) => {
+    sessionsBody.innerHTML = '';
+    revokeOthersButton.disabled = !items.some((item) => !item.current);
+
+    items.forEach((item) => {
+      const row = document.createElement('tr');
+      const cells = [
+        item.current ? `${describeDevice(item.user_agent)} (this device)` : describeDevice(item.user_agent),
+        item.ip || '—',
+        item.last_used_at ? new Date(item.last_used_at).toLocaleString() : '—',
+        new Date(item.expires_at).toLocaleString(),
+      ];
+
+      cells.forEach((text, index) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (index === 0 && item.user_agent) cell.title = item.user_agent;
+        row.appendChild(cell);
+      });
+
+      const actionCell = document.createElement('td');
+      if (!item.current) {
+        const revokeButton = document.createElement('button');
+        revokeButton.className = 'forms-button secondary';
+        revokeButton.textContent = 'Sign out';
+        revokeButton.addEventListener('click', async () => {
+          revokeButton.disabled = true;
+          try {
+            await revokeSessions({ sessionId: item.id });
+            setAlert(sessionsAlert, 'Session signed out.', 'success');
+          } catch (error) {
+            setAlert(sessionsAlert, error.message || 'Unable to sign out session.');
+            revokeButton.disabled = false;
+          }
+        });
+        actionCell.appendChild(revokeButton);
+      }
+      row.appendChild(actionCell);
+
+      sessionsBody.appendChild(row);
+    });
+  };
+
+  const loadSessions = async () => {
+    const data = await apiRequest('/api/forms/me/sessions');
+    renderSessions(data.sessions || []);
+  };
+
+  const showRecoveryCodes = (codes) => {
+    renderRecoveryCodes(document.getElementById('mfa-recovery-codes'), codes);
+    mfaCodes.hidden = false;
+  };
+
+  const loadMfa = async () => {
+    const data = await apiRequest('/api/forms/me/mfa');
+    if (data.enabled) {
+      mfaStatus.textContent = `On · ${data.recoveryCodesRemaining} recovery codes left`;
+    } else {
+      mfaStatus.textContent = data.required ? 'Off · required at next sign-in' : 'Off';
+    }
+    mfaStart.hidden = data.enabled || !mfaSetupForm.hidden;
+    mfaManageForm.hidden = !data.enabled;
+    mfaDisableButton.disabled = data.required;
+    mfaDisableButton.title = data.required ? 'Required for one of your sites.' : '';
+  };
+
+  const exportSubmissions = async () => {
+    clearAlert(dashboardAlert);
+    const params = buildFilterParams();
+    params.set('format', exportFormat.value);
+
+    const response = await fetch(`/api/forms/export?${params.toString()}`, { credentials: 'same-origin' });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Export failed');
+    }
+
+    const disposition = response.headers.get('content-disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const blob = await response.blob();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = match ? match[1] : `submissions.${exportFormat.value}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
   };
 
   const initDashboard = async () => {
@@ -313,26 +1004,857 @@ if (dashboardRoot) {
       await loadSubmissions();
     } catch (error) {
       window.location.href = '/forms/index.html';
+      return;
     }
+
+    loadDeliveries().catch((error) => setAlert(deliveriesAlert, error.message));
+    loadFunnel().catch((error) => setAlert(funnelAlert, error.message));
+    loadSessions().catch((error) => setAlert(sessionsAlert, error.message));
+    loadMfa().catch((error) => setAlert(mfaAlert, error.message));
   };
 
+  spamTabs.forEach((tab) => {
+    tab.addEventListener('click', () => {
+      spamView = tab.dataset.spam;
+      spamTabs.forEach((entry) => {
+        entry.classList.toggle('active', entry === tab);
+        entry.setAttribute('aria-selected', String(entry === tab));
+      });
+      loadSubmissions().catch((error) => setAlert(dashboardAlert, error.message));
+    });
+  });
+
+  [siteFilter, statusFilter, fromFilter, toFilter].forEach((input) => {
+    input.addEventListener('change', () => {
+      loadSubmissions().catch((error) => setAlert(dashboardAlert, error.message));
+    });
+  });
+
+  [siteFilter, fromFilter, toFilter].forEach((input) => {
+    input.addEventListener('change', () => {
+      loadFunnel().catch((error) => setAlert(funnelAlert, error.message));
+    });
+  });
+
+  [formFilter, searchFilter].forEach((input) => {
+    input.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        loadSubmissions().catch((error) => setAlert(dashboardAlert, error.message));
+        if (input === formFilter) loadFunnel().catch((error) => setAlert(funnelAlert, error.message));
+      }, 350);
+    });
+  });
+
   siteFilter.addEventListener('change', () => {
-    loadSubmissions().catch((error) => setAlert(dashboardAlert, error.message));
+    loadDeliveries().catch((error) => setAlert(deliveriesAlert, error.message));
   });
 
   refreshButton.addEventListener('click', () => {
     loadSubmissions().catch((error) => setAlert(dashboardAlert, error.message));
+    loadFunnel().catch((error) => setAlert(funnelAlert, error.message));
+  });
+
+  refreshDeliveriesButton.addEventListener('click', () => {
+    clearAlert(deliveriesAlert);
+    loadDeliveries().catch((error) => setAlert(deliveriesAlert, error.message));
+  });
+
+  loadMoreButton.addEventListener('click', () => {
+    loadSubmissions({ append: true }).catch((error) => setAlert(dashboardAlert, error.message));
   });
 
-  logoutButton.addEventListener('click', async () => {
+  mfaSetupButton.addEventListener('click', async () => {
+    clearAlert(mfaAlert);
+    mfaSetupButton.disabled = true;
     try {
-      await apiRequest('/api/forms/logout', { method: 'POST' });
+      const data = await apiRequest('/api/forms/me/mfa/setup', { method: 'POST', body: '{}' });
+      document.getElementById('mfa-secret').value = data.secret;
+      document.getElementById('mfa-otpauth').href = data.otpauthUri;
+      mfaSetupForm.hidden = false;
+      mfaStart.hidden = true;
     } catch (error) {
-      setAlert(dashboardAlert, error.message || 'Unable to log out.');
+      setAlert(mfaAlert, error.message || 'Unable to start setup.');
     } finally {
-      window.location.href = '/forms/index.html';
+      mfaSetupButton.disabled = false;
+    }
+  });
+
+  mfaSetupForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    clearAlert(mfaAlert);
+    const submitButton = mfaSetupForm.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+    try {
+      const data = await apiRequest('/api/forms/me/mfa/confirm', {
+        method: 'POST',
+        body: JSON.stringify({ code: mfaSetupForm.querySelector('input[name="code"]').value.trim() }),
+      });
+      mfaSetupForm.reset();
+      mfaSetupForm.hidden = true;
+      showRecoveryCodes(data.recoveryCodes || []);
+      setAlert(mfaAlert, 'Two-factor authentication is on.', 'success');
+      await loadMfa();
+    } catch (error) {
+      setAlert(mfaAlert, error.message || 'Unable to turn on two-factor authentication.');
+    } finally {
+      submitButton.disabled = false;
+    }
+  });
+
+  mfaManageForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    clearAlert(mfaAlert);
+    try {
+      const data = await apiRequest('/api/forms/me/mfa/recovery-codes', {
+        method: 'POST',
+        body: JSON.stringify({ code: mfaManageForm.querySelector('input[name="code"]').value.trim() }),
+      });
+      mfaManageForm.reset();
+      showRecoveryCodes(data.recoveryCodes || []);
+      await loadMfa();
+    } catch (error) {
+      setAlert(mfaAlert, error.message || 'Unable to generate recovery codes.');
+    }
+  });
+
+  mfaDisableButton.addEventListener('click', async () => {
+    const code = mfaManageForm.querySelector('input[name="code"]').value.trim();
+    if (!code) {
+      setAlert(mfaAlert, 'Enter a code from your authenticator app first.');
+      return;
+    }
+    if (!window.confirm('Turn off two-factor authentication?')) return;
+
+    clearAlert(mfaAlert);
+    try {
+      await apiRequest('/api/forms/me/mfa', { method: 'DELETE', body: JSON.stringify({ code }) });
+      mfaManageForm.reset();
+      mfaCodes.hidden = true;
+      setAlert(mfaAlert, 'Two-factor authentication is off.', 'success');
+      await loadMfa();
+    } catch (error) {
+      setAlert(mfaAlert, error.message || 'Unable to turn off two-factor authentication.');
     }
   });
 
+  revokeOthersButton.addEventListener('click', async () => {
+    if (!window.confirm('Sign out of every other device?')) return;
+    revokeOthersButton.disabled = true;
+    try {
+      const data = await revokeSessions({ others: true });
+      setAlert(sessionsAlert, `Signed out ${data.revoked} other session${data.revoked === 1 ? '' : 's'}.`, 'success');
+    } catch (error) {
+      setAlert(sessionsAlert, error.message || 'Unable to sign out other sessions.');
+      revokeOthersButton.disabled = false;
+    }
+  });
+
+  exportButton.addEventListener('click', async () => {
+    exportButton.disabled = true;
+    try {
+      await exportSubmissions();
+    } catch (error) {
+      setAlert(dashboardAlert, error.message || 'Unable to export submissions.');
+    } finally {
+      exportButton.disabled = false;
+    }
+  });
+
+  bindLogout(logoutButton, dashboardAlert);
+
   initDashboard();
 }
+
+const adminsRoot = document.getElementById('forms-admins');
+
+if (adminsRoot) {
+  const adminEmail = document.getElementById('admin-email');
+  const adminsBody = document.getElementById('admins-body');
+  const adminsAlert = document.getElementById('admins-alert');
+  const inviteForm = document.getElementById('invite-form');
+  const inviteSite = document.getElementById('invite-site');
+  const logoutButton = document.getElementById('logout');
+
+  let currentEmail = '';
+  let siteNames = {};
+
+  const siteLabel = (siteId) => (siteId === '*' ? 'All sites' : siteNames[siteId] || siteId);
+
+  const removeAdmin = async (admin) => {
+    if (!window.confirm(`Remove ${admin.email} from ${siteLabel(admin.site_id)}?`)) return;
+    await apiRequest('/api/forms/admins', {
+      method: 'DELETE',
+      body: JSON.stringify({ email: admin.email, siteId: admin.site_id }),
+    });
+    setAlert(adminsAlert, `${admin.email} removed.`, 'success');
+    await loadAdmins();
+  };
+
+  const renderAdmins = (admins) => {
+    adminsBody.innerHTML = '';
+
+    if (!admins.length) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 5;
+      cell.textContent = 'No admins yet.';
+      row.appendChild(cell);
+      adminsBody.appendChild(row);
+      return;
+    }
+
+    admins.forEach((admin) => {
+      const row = document.createElement('tr');
+      const cells = [
+        admin.email,
+        siteLabel(admin.site_id),
+        formatLabel(admin.role),
+        admin.source === 'env' ? 'FORMS_ADMIN_EMAILS' : admin.invited_by || '—',
+      ];
+
+      cells.forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const actionCell = document.createElement('td');
+      if (admin.source !== 'env' && admin.email !== currentEmail) {
+        const removeButton = document.createElement('button');
+        removeButton.className = 'forms-button danger';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+          clearAlert(adminsAlert);
+          removeAdmin(admin).catch((error) => setAlert(adminsAlert, error.message || 'Unable to remove admin.'));
+        });
+        actionCell.appendChild(removeButton);
+      }
+      row.appendChild(actionCell);
+
+      adminsBody.appendChild(row);
+    });
+  };
+
+  const loadAdmins = async () => {
+    const data = await apiRequest('/api/forms/admins');
+    const manageable = data.manageableSites || [];
+
+    if (!inviteSite.options.length) {
+      const siteIds = manageable.includes('*') ? ['*', ...Object.keys(siteNames)] : manageable;
+      siteIds.forEach((siteId) => {
+        const option = document.createElement('option');
+        option.value = siteId;
+        option.textContent = siteLabel(siteId);
+        inviteSite.appendChild(option);
+      });
+    }
+
+    renderAdmins(data.admins || []);
+  };
+
+  const initAdmins = async () => {
+    try {
+      const me = await apiRequest('/api/forms/me');
+      currentEmail = me.email;
+      adminEmail.textContent = me.email;
+      if (!me.isOwner) {
+        window.location.href = '/forms/dashboard.html';
+        return;
+      }
+
+      const sites = await apiRequest('/api/forms/sites');
+      siteNames = Object.fromEntries((sites.sites || []).map((site) => [site.site_id, site.site_name || site.site_id]));
+    } catch (error) {
+      window.location.href = '/forms/index.html';
+      return;
+    }
+
+    loadAdmins().catch((error) => setAlert(adminsAlert, error.message));
+  };
+
+  inviteForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    clearAlert(adminsAlert);
+
+    const submitButton = inviteForm.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+      const formData = new FormData(inviteForm);
+      const data = await apiRequest('/api/forms/admins', {
+        method: 'POST',
+        body: JSON.stringify(Object.fromEntries(formData.entries())),
+      });
+      inviteForm.reset();
+      setAlert(
+        adminsAlert,
+        data.invited ? 'Admin added and invitation sent.' : 'Admin added, but the invitation email could not be sent.',
+        data.invited ? 'success' : 'error'
+      );
+      await loadAdmins();
+    } catch (error) {
+      setAlert(adminsAlert, error.message || 'Unable to add admin.');
+    } finally {
+      submitButton.disabled = false;
+    }
+  });
+
+  bindLogout(logoutButton, adminsAlert);
+
+  initAdmins();
+}
+
+const sitesRoot = document.getElementById('forms-sites');
+
+if (sitesRoot) {
+  const adminEmail = document.getElementById('admin-email');
+  const sitesAlert = document.getElementById('sites-alert');
+  const siteList = document.getElementById('site-list');
+  const createCard = document.getElementById('create-site-card');
+  const createForm = document.getElementById('create-site-form');
+  const erasureCard = document.getElementById('erasure-card');
+  const erasureForm = document.getElementById('erasure-form');
+  const logoutButton = document.getElementById('logout');
+
+  const createField = (labelText, input) => {
+    const field = document.createElement('div');
+    field.className = 'forms-field';
+    const label = document.createElement('label');
+    label.textContent = labelText;
+    field.appendChild(label);
+    field.appendChild(input);
+    return field;
+  };
+
+  const createButton = (text, className = 'secondary', type = 'button') => {
+    const button = document.createElement('button');
+    button.className = `forms-button ${className}`;
+    button.type = type;
+    button.textContent = text;
+    return button;
+  };
+
+  const showKey = (keyOutput, keyNote, key, previousKeyExpiresAt) => {
+    keyOutput.value = key;
+    keyOutput.hidden = false;
+    keyNote.textContent = previousKeyExpiresAt
+      ? `The previous key keeps working until ${new Date(previousKeyExpiresAt).toLocaleString()}.`
+      : '';
+  };
+
+  const renderWebhookRows = (body, site, webhooks) => {
+    body.innerHTML = '';
+    if (!webhooks.length) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 3;
+      cell.textContent = 'No webhooks registered.';
+      row.appendChild(cell);
+      body.appendChild(row);
+      return;
+    }
+
+    webhooks.forEach((webhook) => {
+      const row = document.createElement('tr');
+      [webhook.url, webhook.active ? 'Active' : 'Disabled'].forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      const actionCell = document.createElement('td');
+      const toggleButton = createButton(webhook.active ? 'Disable' : 'Enable', webhook.active ? 'danger' : 'secondary');
+      toggleButton.addEventListener('click', async () => {
+        clearAlert(sitesAlert);
+        toggleButton.disabled = true;
+        try {
+          await apiRequest(`/api/forms/webhooks/endpoints/${encodeURIComponent(webhook.id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ active: !webhook.active }),
+          });
+          await loadWebhooks(body, site);
+        } catch (error) {
+          setAlert(sitesAlert, error.message || 'Unable to update webhook.');
+          toggleButton.disabled = false;
+        }
+      });
+      actionCell.appendChild(toggleButton);
+      row.appendChild(actionCell);
+      body.appendChild(row);
+    });
+  };
+
+  const loadWebhooks = async (body, site) => {
+    const data = await apiRequest(`/api/forms/webhooks/endpoints?siteId=${encodeURIComponent(site.site_id)}`);
+    renderWebhookRows(body, site, data.webhooks || []);
+  };
+
+  const renderWebhooks = (card, site) => {
+    const title = document.createElement('h3');
+    title.textContent = 'Webhooks';
+    const note = document.createElement('p');
+    note.className = 'forms-muted';
+    note.textContent = 'New submissions are POSTed to each active URL, signed with its secret.';
+
+    const table = document.createElement('table');
+    table.className = 'forms-table';
+    table.innerHTML = '<thead><tr><th>URL</th><th>Status</th><th></th></tr></thead>';
+    const body = document.createElement('tbody');
+    table.appendChild(body);
+
+    const form = document.createElement('form');
+    const urlInput = document.createElement('input');
+    urlInput.type = 'url';
+    urlInput.required = true;
+    urlInput.placeholder = 'https://example.com/hooks/forms';
+    const secretOutput = document.createElement('input');
+    secretOutput.className = 'forms-key';
+    secretOutput.readOnly = true;
+    secretOutput.hidden = true;
+    const secretNote = document.createElement('p');
+    secretNote.className = 'forms-muted';
+    const actions = document.createElement('div');
+    actions.className = 'forms-actions';
+    const addButton = createButton('Add webhook', 'primary', 'submit');
+    actions.appendChild(addButton);
+    form.appendChild(createField('Webhook URL', urlInput));
+    form.appendChild(actions);
+
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      clearAlert(sitesAlert);
+      addButton.disabled = true;
+      try {
+        const data = await apiRequest('/api/forms/webhooks/endpoints', {
+          method: 'POST',
+          body: JSON.stringify({ siteId: site.site_id, url: urlInput.value }),
+        });
+        urlInput.value = '';
+        secretOutput.value = data.webhook.secret;
+        secretOutput.hidden = false;
+        secretNote.textContent = `Signing secret for ${data.webhook.url}. Copy it now; it is not shown again.`;
+        await loadWebhooks(body, site);
+      } catch (error) {
+        setAlert(sitesAlert, error.message || 'Unable to register webhook.');
+      } finally {
+        addButton.disabled = false;
+      }
+    });
+
+    card.appendChild(title);
+    card.appendChild(note);
+    card.appendChild(table);
+    card.appendChild(form);
+    card.appendChild(secretOutput);
+    card.appendChild(secretNote);
+
+    loadWebhooks(body, site).catch((error) => setAlert(sitesAlert, error.message || 'Unable to load webhooks.'));
+  };
+
+  const renderSite = (site) => {
+    const card = document.createElement('section');
+    card.className = 'forms-card';
+    const isOwner = site.role === 'owner';
+
+    const title = document.createElement('h2');
+    title.textContent = site.site_name || site.site_id;
+    const subtitle = document.createElement('p');
+    subtitle.textContent = `${site.site_id} · ${formatLabel(site.role)}`;
+    card.appendChild(title);
+    card.appendChild(subtitle);
+
+    const form = document.createElement('form');
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = site.site_name || '';
+    nameInput.disabled = !isOwner;
+    const originsInput = document.createElement('textarea');
+    originsInput.rows = 3;
+    originsInput.value = (Array.isArray(site.allowed_origins) ? site.allowed_origins : []).join('\n');
+    originsInput.placeholder = 'https://example.com';
+    originsInput.disabled = !isOwner;
+    const mfaInput = document.createElement('input');
+    mfaInput.type = 'checkbox';
+    mfaInput.checked = Boolean(site.require_mfa);
+    mfaInput.disabled = !isOwner;
+    const mfaLabel = document.createElement('label');
+    mfaLabel.className = 'forms-checkbox';
+    mfaLabel.appendChild(mfaInput);
+    mfaLabel.appendChild(document.createTextNode(' Require two-factor authentication for admins of this site'));
+    const retentionInput = document.createElement('input');
+    retentionInput.type = 'number';
+    retentionInput.min = '1';
+    retentionInput.max = '3650';
+    retentionInput.placeholder = 'Keep forever';
+    retentionInput.value = site.retention_days ?? '';
+    retentionInput.disabled = !isOwner;
+    form.appendChild(createField('Site name', nameInput));
+    form.appendChild(createField('Allowed origins (one per line, empty allows any)', originsInput));
+    form.appendChild(createField('Delete submissions after (days, empty keeps them)', retentionInput));
+    form.appendChild(mfaLabel);
+
+    if (isOwner) {
+      const actions = document.createElement('div');
+      actions.className = 'forms-actions';
+      const saveButton = createButton('Save changes', 'primary', 'submit');
+      actions.appendChild(saveButton);
+      form.appendChild(actions);
+
+      form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        clearAlert(sitesAlert);
+        saveButton.disabled = true;
+        try {
+          const data = await apiRequest(`/api/forms/sites/${encodeURIComponent(site.site_id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({
+              siteName: nameInput.value,
+              allowedOrigins: originsInput.value,
+              requireMfa: mfaInput.checked,
+              retentionDays: retentionInput.value === '' ? null : Number(retentionInput.value),
+            }),
+          });
+          originsInput.value = (data.site.allowed_origins || []).join('\n');
+          title.textContent = data.site.site_name || site.site_id;
+          const signedOut = data.sessionsRevoked
+            ? ` Signed out ${data.sessionsRevoked} session(s) of admins without two-factor authentication.`
+            : '';
+          setAlert(sitesAlert, `${site.site_id} saved.${signedOut}`, 'success');
+        } catch (error) {
+          setAlert(sitesAlert, error.message || 'Unable to save site.');
+        } finally {
+          saveButton.disabled = false;
+        }
+      });
+    }
+    card.appendChild(form);
+
+    if (isOwner) {
+      const keyTitle = document.createElement('h3');
+      keyTitle.textContent = 'Site key';
+      const keyOutput = document.createElement('input');
+      keyOutput.className = 'forms-key';
+      keyOutput.readOnly = true;
+      keyOutput.hidden = true;
+      const keyNote = document.createElement('p');
+      keyNote.className = 'forms-muted';
+      if (site.previous_key_expires_at && new Date(site.previous_key_expires_at) > new Date()) {
+        keyNote.textContent = `A previous key is accepted until ${new Date(site.previous_key_expires_at).toLocaleString()}.`;
+      }
+
+      const graceInput = document.createElement('input');
+      graceInput.type = 'number';
+      graceInput.min = '0';
+      graceInput.max = '720';
+      graceInput.value = '24';
+
+      const actions = document.createElement('div');
+      actions.className = 'forms-actions';
+      const revealButton = createButton('Show key');
+      const rotateButton = createButton('Rotate key', 'danger');
+      actions.appendChild(revealButton);
+      actions.appendChild(rotateButton);
+
+      revealButton.addEventListener('click', async () => {
+        clearAlert(sitesAlert);
+        try {
+          const data = await apiRequest(`/api/forms/sites/${encodeURIComponent(site.site_id)}`);
+          showKey(keyOutput, keyNote, data.site.site_key, null);
+        } catch (error) {
+          setAlert(sitesAlert, error.message || 'Unable to load key.');
+        }
+      });
+
+      rotateButton.addEventListener('click', async () => {
+        const graceHours = Number.parseInt(graceInput.value || '0', 10);
+        const message = graceHours > 0
+          ? `Rotate the key for ${site.site_id}? The current key keeps working for ${graceHours} hours.`
+          : `Rotate the key for ${site.site_id}? The current key stops working immediately.`;
+        if (!window.confirm(message)) return;
+
+        clearAlert(sitesAlert);
+        rotateButton.disabled = true;
+        try {
+          const data = await apiRequest(`/api/forms/sites/${encodeURIComponent(site.site_id)}/rotate`, {
+            method: 'POST',
+            body: JSON.stringify({ graceHours }),
+          });
+          showKey(keyOutput, keyNote, data.siteKey, data.previousKeyExpiresAt);
+          setAlert(sitesAlert, `New key issued for ${site.site_id}. Update your embeds.`, 'success');
+        } catch (error) {
+          setAlert(sitesAlert, error.message || 'Unable to rotate key.');
+        } finally {
+          rotateButton.disabled = false;
+        }
+      });
+
+      card.appendChild(keyTitle);
+      card.appendChild(createField('Grace period for the old key (hours)', graceInput));
+      card.appendChild(actions);
+      card.appendChild(keyOutput);
+      card.appendChild(keyNote);
+
+      renderWebhooks(card, site);
+    }
+
+    return card;
+  };
+
+  const loadSiteList = async () => {
+    const data = await apiRequest('/api/forms/sites');
+    createCard.hidden = !data.canCreate;
+    erasureCard.hidden = !(data.sites || []).some((site) => site.role === 'owner');
+    siteList.innerHTML = '';
+    (data.sites || []).forEach((site) => {
+      siteList.appendChild(renderSite(site));
+    });
+  };
+
+  const describeSiteCounts = (sites) =>
+    Object.entries(sites)
+      .map(([siteId, count]) => `${siteId}: ${count}`)
+      .join(', ');
+
+  // Look the address up first, so the owner confirms against real numbers before anything is erased.
+  erasureForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    clearAlert(sitesAlert);
+
+    const submitButton = erasureForm.querySelector('button[type="submit"]');
+    const { email, mode } = Object.fromEntries(new FormData(erasureForm).entries());
+    submitButton.disabled = true;
+
+    try {
+      const preview = await apiRequest('/api/forms/erasure', {
+        method: 'POST',
+        body: JSON.stringify({ email, mode, dryRun: true }),
+      });
+      if (!preview.matched && !preview.drafts) {
+        setAlert(sitesAlert, `No submissions found for ${email}.`, 'success');
+        return;
+      }
+
+      const verb = mode === 'anonymize' ? 'Anonymize' : 'Permanently delete';
+      const draftNote = preview.drafts ? ` and delete ${preview.drafts} saved draft(s)` : '';
+      const siteNote = preview.matched ? ` (${describeSiteCounts(preview.sites)})` : '';
+      if (!window.confirm(`${verb} ${preview.matched} submission(s)${draftNote} for ${email}${siteNote}?`)) {
+        return;
+      }
+
+      const data = await apiRequest('/api/forms/erasure', {
+        method: 'POST',
+        body: JSON.stringify({ email, mode }),
+      });
+      erasureForm.reset();
+      setAlert(
+        sitesAlert,
+        `${data.mode === 'anonymize' ? 'Anonymized' : 'Deleted'} ${data.erased} submission(s) for ${email}.`,
+        'success'
+      );
+    } catch (error) {
+      setAlert(sitesAlert, error.message || 'Unable to erase submissions.');
+    } finally {
+      submitButton.disabled = false;
+    }
+  });
+
+  const initSites = async () => {
+    try {
+      const me = await apiRequest('/api/forms/me');
+      adminEmail.textContent = me.email;
+    } catch (error) {
+      window.location.href = '/forms/index.html';
+      return;
+    }
+
+    loadSiteList().catch((error) => setAlert(sitesAlert, error.message));
+  };
+
+  createForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    clearAlert(sitesAlert);
+
+    const submitButton = createForm.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+      const formData = new FormData(createForm);
+      const data = await apiRequest('/api/forms/sites', {
+        method: 'POST',
+        body: JSON.stringify(Object.fromEntries(formData.entries())),
+      });
+      createForm.reset();
+      await loadSiteList();
+      setAlert(sitesAlert, `Site created. Its key is ${data.siteKey}`, 'success');
+    } catch (error) {
+      setAlert(sitesAlert, error.message || 'Unable to create site.');
+    } finally {
+      submitButton.disabled = false;
+    }
+  });
+
+  bindLogout(logoutButton, sitesAlert);
+
+  initSites();
+}
+
+const auditRoot = document.getElementById('forms-audit');
+
+if (auditRoot) {
+  const adminEmail = document.getElementById('admin-email');
+  const auditAlert = document.getElementById('audit-alert');
+  const auditBody = document.getElementById('audit-body');
+  const filtersForm = document.getElementById('audit-filters');
+  const siteSelect = document.getElementById('audit-site');
+  const actionSelect = document.getElementById('audit-action');
+  const emailInput = document.getElementById('audit-email');
+  const fromInput = document.getElementById('audit-from');
+  const toInput = document.getElementById('audit-to');
+  const loadMoreButton = document.getElementById('audit-load-more');
+  const logoutButton = document.getElementById('logout');
+
+  let loadedEntries = [];
+  let nextCursor = null;
+  let optionsLoaded = false;
+
+  const addOption = (select, value, text) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  };
+
+  // Offer each action, plus a prefix entry per group (e.g. every `auth.` event).
+  const populateActions = (actions) => {
+    const groups = [...new Set(actions.map((action) => action.split('.')[0]))];
+    groups.forEach((group) => addOption(actionSelect, `${group}.`, `${formatLabel(group)} (all)`));
+    actions.forEach((action) => addOption(actionSelect, action, action));
+  };
+
+  const describeDetails = (details) => {
+    if (!details || typeof details !== 'object') return '—';
+    const entries = Object.entries(details).filter(([, value]) => value !== null && value !== undefined);
+    if (entries.length === 0) return '—';
+    return entries
+      .map(([key, value]) => `${formatLabel(key)}: ${typeof value === 'object' ? JSON.stringify(value) : String(value)}`)
+      .join('; ');
+  };
+
+  const renderEntries = (items) => {
+    auditBody.innerHTML = '';
+
+    if (!items.length) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 7;
+      cell.textContent = 'No audit entries match these filters.';
+      row.appendChild(cell);
+      auditBody.appendChild(row);
+      return;
+    }
+
+    items.forEach((item) => {
+      const row = document.createElement('tr');
+      const cells = [
+        new Date(item.created_at).toLocaleString(),
+        item.admin_email || '—',
+        item.action,
+        item.site_id || '—',
+        item.target_type ? `${item.target_type}${item.target_id ? ` ${item.target_id}` : ''}` : '—',
+        [item.ip, item.user_agent].filter(Boolean).join(' · ') || '—',
+        describeDetails(item.details),
+      ];
+
+      cells.forEach((text) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+
+      auditBody.appendChild(row);
+    });
+  };
+
+  const buildFilterParams = () => {
+    const params = new URLSearchParams();
+    if (siteSelect.value) params.set('siteId', siteSelect.value);
+    if (actionSelect.value) params.set('action', actionSelect.value);
+    if (emailInput.value.trim()) params.set('email', emailInput.value.trim());
+    if (fromInput.value) {
+      params.set('from', new Date(`${fromInput.value}T00:00:00`).toISOString());
+    }
+    if (toInput.value) {
+      params.set('to', new Date(`${toInput.value}T23:59:59.999`).toISOString());
+    }
+    return params;
+  };
+
+  const loadEntries = async ({ append = false } = {}) => {
+    clearAlert(auditAlert);
+
+    const params = buildFilterParams();
+    params.set('limit', '50');
+    if (append && nextCursor) {
+      params.set('cursor', nextCursor);
+    }
+
+    loadMoreButton.disabled = true;
+
+    try {
+      const data = await apiRequest(`/api/forms/audit-log?${params.toString()}`);
+      if (!optionsLoaded) {
+        populateActions(data.actions || []);
+        optionsLoaded = true;
+      }
+      const items = data.entries || [];
+      loadedEntries = append ? loadedEntries.concat(items) : items;
+      nextCursor = data.nextCursor || null;
+      renderEntries(loadedEntries);
+    } finally {
+      loadMoreButton.hidden = !nextCursor;
+      loadMoreButton.disabled = false;
+    }
+  };
+
+  const loadSiteOptions = async () => {
+    const data = await apiRequest('/api/forms/sites');
+    (data.sites || [])
+      .filter((site) => site.role === 'owner')
+      .forEach((site) => addOption(siteSelect, site.site_id, site.site_name || site.site_id));
+  };
+
+  const initAudit = async () => {
+    try {
+      const me = await apiRequest('/api/forms/me');
+      adminEmail.textContent = me.email;
+      if (!me.isOwner) {
+        window.location.href = '/forms/dashboard.html';
+        return;
+      }
+    } catch (error) {
+      window.location.href = '/forms/index.html';
+      return;
+    }
+
+    try {
+      await loadSiteOptions();
+      await loadEntries();
+    } catch (error) {
+      setAlert(auditAlert, error.message || 'Unable to load audit log.');
+    }
+  };
+
+  filtersForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    loadEntries().catch((error) => setAlert(auditAlert, error.message));
+  });
+
+  loadMoreButton.addEventListener('click', () => {
+    loadEntries({ append: true }).catch((error) => setAlert(auditAlert, error.message));
+  });
+
+  bindLogout(logoutButton, auditAlert);
+
+  initAudit();
+}
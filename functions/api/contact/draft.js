@@ -0,0 +1,147 @@
+import {
+  errorResponse,
+  getRequestMeta,
+  jsonResponse,
+  normalizeEmail,
+  sendResendEmail,
+  throttledResponse,
+} from '../forms/utils.js';
+import { getFormSchema, getSchemaFields } from '../forms/schema.js';
+import { checkThrottle, recordSuccess } from '../forms/throttle.js';
+import { getSite } from '../forms/pipeline.js';
+import { verifyChallenge } from '../forms/challenge.js';
+import {
+  buildResumeEmail,
+  deleteDraft,
+  getDraftTtlDays,
+  loadDraft,
+  parseDraftStep,
+  sanitizeDraftData,
+  saveDraft,
+} from '../forms/drafts.js';
+import { FORM_ID, SITE_ID, VIP_SCHEMA } from '../contact.js';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DRAFT_SCOPE = { siteId: SITE_ID, formId: FORM_ID };
+const FORM_PAGE = '/1-on-1-experience.html';
+
+// Drafts hold the same fields the application accepts, so a schema row in the database applies here too.
+const getFieldNames = async (env) =>
+  Object.keys(getSchemaFields((await getFormSchema(env, SITE_ID, FORM_ID)) || VIP_SCHEMA));
+
+/**
+ * Load a saved VIP application draft by its resume token (`?token=`).
+ */
+export async function onRequestGet({ request, env }) {
+  try {
+    const token = new URL(request.url).searchParams.get('token');
+    const draft = await loadDraft(env, token, DRAFT_SCOPE);
+    if (!draft) {
+      return errorResponse(404, 'This link has expired or the application was already submitted.');
+    }
+
+    return jsonResponse({
+      success: true,
+      draft: {
+        data: draft.data,
+        currentStep: draft.current_step,
+        startedAt: draft.created_at,
+        expiresAt: draft.expires_at,
+      },
+    });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to load your saved application.');
+  }
+}
+
+/**
+ * Save a draft (`{ token?, data, currentStep, challengeToken? }`). With `sendLink: true` the
+ * applicant is emailed a link that reopens the draft on any device. Every save counts against
+ * the per-IP limit, and starting a new draft needs the site's challenge like a submission does.
+ */
+export async function onRequestPost({ request, env }) {
+  try {
+    const body = await request.json();
+    const token = typeof body?.token === 'string' && body.token ? body.token : null;
+    const data = sanitizeDraftData(body?.data, await getFieldNames(env));
+    const currentStep = parseDraftStep(body?.currentStep);
+    const sendLink = body?.sendLink === true;
+    const email = normalizeEmail(data.email);
+    const { ip } = getRequestMeta(request);
+
+    const saveThrottle = await checkThrottle(env, { kind: 'draft', ip });
+    if (saveThrottle.limited) {
+      return throttledResponse(saveThrottle.retryAfter, 'Too many saves. Please wait before trying again.');
+    }
+
+    if (!(await loadDraft(env, token, DRAFT_SCOPE))) {
+      const site = await getSite(env, SITE_ID);
+      if (!site) {
+        throw new Error(`Forms site "${SITE_ID}" is not configured`);
+      }
+
+      const challenge = await verifyChallenge(env, site, body?.challengeToken, { ip });
+      if (!challenge.ok) {
+        return errorResponse(403, challenge.error);
+      }
+    }
+
+    if (sendLink) {
+      if (!EMAIL_REGEX.test(email)) {
+        return errorResponse(400, 'Enter a valid email address first.');
+      }
+
+      const throttle = await checkThrottle(env, { kind: 'resume', email, ip });
+      if (throttle.limited) {
+        return throttledResponse(throttle.retryAfter, 'Too many links requested. Please wait before trying again.');
+      }
+      await recordSuccess(env, throttle);
+    }
+
+    const saved = await saveDraft(env, {
+      token,
+      ...DRAFT_SCOPE,
+      data,
+      currentStep,
+      // The address makes the draft a partial lead the team can follow up on.
+      email: EMAIL_REGEX.test(email) ? email : null,
+    });
+    await recordSuccess(env, saveThrottle);
+
+    if (sendLink) {
+      const link = new URL(FORM_PAGE, request.url);
+      link.searchParams.set('resume', saved.token);
+      link.hash = 'vip-form';
+
+      const fromEmail = env.FORMS_FROM_EMAIL || env.FROM_EMAIL || 'noreply@updates.topfundmanager.com';
+      await sendResendEmail(env, {
+        from: fromEmail,
+        to: email,
+        subject: 'Continue your VIP 1-on-1 application',
+        html: buildResumeEmail({
+          formName: 'VIP 1-on-1 application',
+          link: link.toString(),
+          expiresDays: getDraftTtlDays(env),
+        }),
+        replyTo: fromEmail,
+      });
+    }
+
+    return jsonResponse({ success: true, token: saved.token, expiresAt: saved.draft.expires_at, linkSent: sendLink });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to save your application.');
+  }
+}
+
+/**
+ * Discard a draft (`{ token }`) when the applicant starts over.
+ */
+export async function onRequestDelete({ request, env }) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    await deleteDraft(env, typeof body?.token === 'string' ? body.token : null, DRAFT_SCOPE);
+    return jsonResponse({ success: true });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to discard your saved application.');
+  }
+}
@@ -0,0 +1,26 @@
+import { errorResponse, jsonResponse } from '../forms/utils.js';
+import { parseSessionId, recordStepView } from '../forms/steps.js';
+import { parseDraftStep } from '../forms/drafts.js';
+import { getFormDefinition } from '../forms/definition.js';
+import { FORM_ID, SITE_ID } from '../contact.js';
+
+/**
+ * Step views from the VIP application (`{ sessionId, step }`), for the drop-off funnel on
+ * the dashboard. Nothing the applicant typed is sent here.
+ */
+export async function onRequestPost({ request, env }) {
+  try {
+    const body = await request.json();
+    const sessionId = parseSessionId(body?.sessionId);
+    if (!sessionId) {
+      return errorResponse(400, 'Invalid session.');
+    }
+
+    // The endpoint is public, so a step past the end of the form is clamped rather than trusted.
+    const step = Math.min(parseDraftStep(body?.step), getFormDefinition(FORM_ID).steps.length);
+    await recordStepView(env, { sessionId, siteId: SITE_ID, formId: FORM_ID, step });
+    return jsonResponse({ success: true });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to record step.');
+  }
+}
@@ -0,0 +1,49 @@
+import { errorResponse, jsonResponse } from './utils.js';
+import { forbiddenResponse, requireAdmin, scopeFiltersToAccess } from './access.js';
+import { buildFunnelConditions, parseFunnelFilters } from './filters.js';
+import { findAbandonedDrafts } from './drafts.js';
+import { describeFilters, recordAudit } from './audit.js';
+
+/**
+ * Partial applications that were started with an email address but never submitted,
+ * newest first, so the team can follow up.
+ */
+export async function onRequestGet({ request, env }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const url = new URL(request.url);
+    const limitParam = url.searchParams.get('limit') || '50';
+    const limit = Math.min(Math.max(Number.parseInt(limitParam, 10) || 50, 1), 200);
+
+    let filters;
+    try {
+      filters = scopeFiltersToAccess(parseFunnelFilters(url.searchParams), access);
+    } catch (error) {
+      return errorResponse(400, error.message);
+    }
+
+    if (!filters) {
+      return forbiddenResponse();
+    }
+
+    if (filters.siteIds && filters.siteIds.length === 0) {
+      return jsonResponse({ success: true, applications: [] });
+    }
+
+    const applications = await findAbandonedDrafts(env, buildFunnelConditions(filters, 'created_at'), { limit });
+
+    await recordAudit(env, request, {
+      action: 'abandoned.list',
+      email: session.email,
+      siteId: filters.siteId || null,
+      targetType: 'drafts',
+      details: { filters: describeFilters(filters), count: applications.length },
+    });
+
+    return jsonResponse({ success: true, applications });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to load abandoned applications.');
+  }
+}
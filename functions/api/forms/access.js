@@ -0,0 +1,107 @@
+import { errorResponse, getAdminEmails, normalizeEmail, requireSession } from './utils.js';
+import { eq, getStorage, inList } from './storage/index.js';
+
+export const ADMIN_ROLES = ['viewer', 'editor', 'owner'];
+export const ALL_SITES = '*';
+
+const roleRank = (role) => ADMIN_ROLES.indexOf(role);
+
+/**
+ * Load an admin's grants as `{ [siteId]: role }`. `*` applies to every site.
+ * Emails in FORMS_ADMIN_EMAILS are owners of every site, so the portal can be bootstrapped.
+ */
+export const getAdminAccess = async (env, email) => {
+  const normalized = normalizeEmail(email);
+  const grants = {};
+
+  if (getAdminEmails(env).includes(normalized)) {
+    grants[ALL_SITES] = 'owner';
+  }
+
+  const rows = await getStorage(env).select('forms_admins', {
+    columns: 'site_id,role',
+    where: eq('email', normalized),
+  });
+
+  rows.forEach((row) => {
+    if (roleRank(row.role) > roleRank(grants[row.site_id])) {
+      grants[row.site_id] = row.role;
+    }
+  });
+
+  return { email: normalized, grants };
+};
+
+export const hasAnyAccess = (access) => Object.keys(access.grants).length > 0;
+
+export const getSiteRole = (access, siteId) => {
+  const siteRole = access.grants[siteId];
+  const globalRole = access.grants[ALL_SITES];
+  return roleRank(globalRole) > roleRank(siteRole) ? globalRole : siteRole || null;
+};
+
+export const hasSiteRole = (access, siteId, minRole) => roleRank(getSiteRole(access, siteId)) >= roleRank(minRole);
+
+export const isGlobalOwner = (access) => access.grants[ALL_SITES] === 'owner';
+
+/**
+ * Sites the admin holds at least `minRole` on, or `null` when that covers every site.
+ */
+export const getAccessibleSiteIds = (access, minRole = 'viewer') => {
+  if (roleRank(access.grants[ALL_SITES]) >= roleRank(minRole)) return null;
+  return Object.entries(access.grants)
+    .filter(([siteId, role]) => siteId !== ALL_SITES && roleRank(role) >= roleRank(minRole))
+    .map(([siteId]) => siteId);
+};
+
+/**
+ * Whether any site the admin can reach has `require_mfa` switched on by its owner.
+ */
+export const isMfaRequired = async (env, access) => {
+  const siteIds = getAccessibleSiteIds(access);
+  if (siteIds !== null && siteIds.length === 0) return false;
+
+  const site = await getStorage(env).first('forms_sites', {
+    columns: 'site_id',
+    where: [eq('require_mfa', true), siteIds !== null && inList('site_id', siteIds)],
+  });
+  return Boolean(site);
+};
+
+/**
+ * Restrict submission filters to the sites an admin may see.
+ * Returns null when the admin asked for a site they cannot access.
+ */
+export const scopeFiltersToAccess = (filters, access, minRole = 'viewer') => {
+  if (filters.siteId) {
+    return hasSiteRole(access, filters.siteId, minRole) ? filters : null;
+  }
+  const siteIds = getAccessibleSiteIds(access, minRole);
+  return siteIds === null ? filters : { ...filters, siteIds };
+};
+
+/**
+ * Resolve the session and the admin's grants. Returns `{ response }` with a 401 when
+ * there is no valid session, the admin no longer has any access, or the session was started
+ * with only an email code while one of the admin's sites requires two-factor. Checking here
+ * covers every way a site can come to require it: the site setting, a new grant or FORMS_ADMIN_EMAILS.
+ */
+export const requireAdmin = async (request, env) => {
+  const session = await requireSession(request, env);
+  if (!session) {
+    return { response: errorResponse(401, 'Unauthorized') };
+  }
+
+  const access = await getAdminAccess(env, session.email);
+  if (!hasAnyAccess(access)) {
+    return { response: errorResponse(401, 'Unauthorized') };
+  }
+
+  if (!session.mfa && (await isMfaRequired(env, access))) {
+    return { response: errorResponse(401, 'Two-factor authentication is now required. Sign in again to set it up.') };
+  }
+
+  return { session, access };
+};
+
+export const forbiddenResponse = () => errorResponse(403, 'You do not have permission to do that.');
@@ -0,0 +1,174 @@
+import { errorResponse, getAdminEmails, jsonResponse, normalizeEmail, sendResendEmail } from './utils.js';
+import {
+  ADMIN_ROLES,
+  ALL_SITES,
+  forbiddenResponse,
+  getAccessibleSiteIds,
+  hasSiteRole,
+  isGlobalOwner,
+  requireAdmin,
+} from './access.js';
+import { escapeHtml } from './format.js';
+import { recordAudit } from './audit.js';
+import { eq, getStorage, inList } from './storage/index.js';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const canManageSite = (access, siteId) => {
+  if (siteId === ALL_SITES) return isGlobalOwner(access);
+  return hasSiteRole(access, siteId, 'owner');
+};
+
+const buildInviteEmail = ({ role, siteId, invitedBy, portalUrl }) => {
+  const scope = siteId === ALL_SITES ? 'all sites' : siteId;
+  return `
+    <h2>You've been added to the Forms Admin Portal</h2>
+    <p>${escapeHtml(invitedBy)} gave you <strong>${escapeHtml(role)}</strong> access to ${escapeHtml(scope)}.</p>
+    <p>Sign in with this email address at <a href="${escapeHtml(portalUrl)}">${escapeHtml(portalUrl)}</a>.</p>
+  `;
+};
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const { access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const ownedSites = getAccessibleSiteIds(access, 'owner');
+    if (ownedSites !== null && ownedSites.length === 0) {
+      return forbiddenResponse();
+    }
+
+    const admins = await getStorage(env).select('forms_admins', {
+      columns: 'email,site_id,role,invited_by,created_at',
+      where: ownedSites !== null && inList('site_id', ownedSites),
+      order: ['site_id.asc', 'email.asc'],
+    });
+
+    // Allowlisted owners live in the environment, so they are listed but cannot be removed here.
+    const envOwners = isGlobalOwner(access)
+      ? getAdminEmails(env).map((email) => ({ email, site_id: ALL_SITES, role: 'owner', source: 'env' }))
+      : [];
+
+    return jsonResponse({
+      success: true,
+      admins: [...envOwners, ...admins.map((admin) => ({ ...admin, source: 'table' }))],
+      manageableSites: ownedSites === null ? [ALL_SITES] : ownedSites,
+    });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to load admins.');
+  }
+}
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const body = await request.json();
+    const email = normalizeEmail(body?.email);
+    const siteId = String(body?.siteId || '').trim();
+    const role = String(body?.role || '').trim();
+
+    if (!EMAIL_REGEX.test(email)) {
+      return errorResponse(400, 'A valid email is required.');
+    }
+    if (!siteId) {
+      return errorResponse(400, 'siteId is required.');
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+      return errorResponse(400, `Role must be one of: ${ADMIN_ROLES.join(', ')}.`);
+    }
+    if (!canManageSite(access, siteId)) {
+      return forbiddenResponse();
+    }
+
+    const storage = getStorage(env);
+    if (siteId !== ALL_SITES) {
+      const site = await storage.first('forms_sites', { columns: 'site_id', where: eq('site_id', siteId) });
+      if (!site) {
+        return errorResponse(404, 'Site not found.');
+      }
+    }
+
+    const rows = await storage.upsert(
+      'forms_admins',
+      { email, site_id: siteId, role, invited_by: session.email },
+      { onConflict: 'email,site_id', returning: true }
+    );
+
+    let invited = true;
+    try {
+      const fromEmail = env.FORMS_FROM_EMAIL || env.FROM_EMAIL || 'noreply@updates.topfundmanager.com';
+      await sendResendEmail(env, {
+        from: fromEmail,
+        to: email,
+        subject: 'You have been added to the Forms Admin Portal',
+        html: buildInviteEmail({
+          role,
+          siteId,
+          invitedBy: session.email,
+          portalUrl: `${new URL(request.url).origin}/forms/index.html`,
+        }),
+        replyTo: session.email,
+      });
+    } catch (emailError) {
+      console.error('Invite email error:', emailError);
+      invited = false;
+    }
+
+    await recordAudit(env, request, {
+      action: 'admin.granted',
+      email: session.email,
+      siteId: siteId === ALL_SITES ? null : siteId,
+      targetType: 'admin',
+      targetId: email,
+      details: { siteId, role, invited },
+    });
+
+    return jsonResponse({ success: true, admin: rows?.[0], invited });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to add admin.');
+  }
+}
+
+export async function onRequestDelete({ request, env }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const body = await request.json();
+    const email = normalizeEmail(body?.email);
+    const siteId = String(body?.siteId || '').trim();
+
+    if (!email || !siteId) {
+      return errorResponse(400, 'Email and siteId are required.');
+    }
+    if (!canManageSite(access, siteId)) {
+      return forbiddenResponse();
+    }
+    if (email === normalizeEmail(session.email)) {
+      return errorResponse(400, 'You cannot remove your own access.');
+    }
+
+    const removed = await getStorage(env).remove('forms_admins', [eq('email', email), eq('site_id', siteId)], {
+      returning: 'email',
+    });
+
+    if (removed.length === 0) {
+      return errorResponse(404, 'Admin not found.');
+    }
+
+    await recordAudit(env, request, {
+      action: 'admin.revoked',
+      email: session.email,
+      siteId: siteId === ALL_SITES ? null : siteId,
+      targetType: 'admin',
+      targetId: email,
+      details: { siteId },
+    });
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to remove admin.');
+  }
+}
@@ -0,0 +1,199 @@
+import { base64Url, timingSafeEqual } from './utils.js';
+
+const MB = 1024 * 1024;
+const DEFAULT_RULES = {
+  maxFiles: 3,
+  maxFileSize: 10 * MB,
+  allowedTypes: ['application/pdf', 'image/jpeg', 'image/png'],
+};
+
+const getBucket = (env) => {
+  if (!env.FORMS_ATTACHMENTS) {
+    throw new Error('Attachment storage (FORMS_ATTACHMENTS) not configured');
+  }
+  return env.FORMS_ATTACHMENTS;
+};
+
+const parseConfig = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  return value;
+};
+
+/**
+ * Attachment limits for a form, from `forms_schemas.attachments`.
+ * Returns null when the form does not accept files.
+ */
+export const getAttachmentRules = (schema) => {
+  const config = parseConfig(schema?.attachments);
+  if (!config || config.enabled === false) return null;
+  return {
+    maxFiles: Number(config.maxFiles) || DEFAULT_RULES.maxFiles,
+    maxFileSize: Number(config.maxFileSize) || DEFAULT_RULES.maxFileSize,
+    allowedTypes: Array.isArray(config.allowedTypes) ? config.allowedTypes : DEFAULT_RULES.allowedTypes,
+  };
+};
+
+// `image/*` style wildcards match any subtype.
+const isAllowedType = (type, allowedTypes) =>
+  allowedTypes.some((allowed) =>
+    allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+  );
+
+const formatSize = (bytes) => (bytes >= MB ? `${Math.round((bytes / MB) * 10) / 10} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+/**
+ * Check uploaded files against the form's rules. `files` is a list of `{ field, file }`.
+ * Returns a field-name → message map (empty when everything is acceptable).
+ */
+export const validateAttachments = (files, rules) => {
+  const errors = {};
+  if (files.length === 0) return errors;
+
+  if (!rules) {
+    files.forEach(({ field }) => {
+      errors[field] = 'This form does not accept attachments.';
+    });
+    return errors;
+  }
+
+  if (files.length > rules.maxFiles) {
+    errors[files[0].field] = `Attach at most ${rules.maxFiles} files.`;
+    return errors;
+  }
+
+  files.forEach(({ field, file }) => {
+    if (errors[field]) return;
+    const type = (file.type || 'application/octet-stream').toLowerCase();
+    if (!isAllowedType(type, rules.allowedTypes)) {
+      errors[field] = `${file.name} is not an accepted file type.`;
+    } else if (file.size > rules.maxFileSize) {
+      errors[field] = `${file.name} is larger than ${formatSize(rules.maxFileSize)}.`;
+    } else if (file.size === 0) {
+      errors[field] = `${file.name} is empty.`;
+    }
+  });
+
+  return errors;
+};
+
+const safeFileName = (name) =>
+  String(name || 'file')
+    .replace(/[^\w.\- ]+/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(-120) || 'file';
+
+/**
+ * Upload files to the attachments bucket under `<site>/<submission>/`.
+ * Returns the metadata stored on the submission row.
+ */
+export const storeAttachments = async (env, { siteId, submissionId, files }) => {
+  const bucket = getBucket(env);
+  const stored = [];
+
+  try {
+    for (const { field, file } of files) {
+      const id = crypto.randomUUID();
+      const name = safeFileName(file.name);
+      const type = (file.type || 'application/octet-stream').toLowerCase();
+      const key = `${siteId}/${submissionId}/${id}-${name}`;
+
+      await bucket.put(key, await file.arrayBuffer(), {
+        httpMetadata: { contentType: type },
+        customMetadata: { field, originalName: String(file.name || name) },
+      });
+
+      stored.push({ id, field, name, type, size: file.size, key });
+    }
+  } catch (error) {
+    await deleteAttachments(env, stored).catch(() => {});
+    throw error;
+  }
+
+  return stored;
+};
+
+export const deleteAttachments = async (env, attachments) => {
+  if (!attachments || attachments.length === 0) return;
+  await getBucket(env).delete(attachments.map((attachment) => attachment.key));
+};
+
+const getSigningSecret = (env) => {
+  if (!env.FORMS_ATTACHMENT_SIGNING_SECRET) {
+    throw new Error('FORMS_ATTACHMENT_SIGNING_SECRET not configured');
+  }
+  return env.FORMS_ATTACHMENT_SIGNING_SECRET;
+};
+
+const signKey = async (secret, key, expires) => {
+  const encoder = new TextEncoder();
+  const cryptoKey = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [
+    'sign',
+  ]);
+  const signature = await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(`${key}.${expires}`));
+  return base64Url(new Uint8Array(signature));
+};
+
+/**
+ * Build a download URL for an attachment that stops working after
+ * `FORMS_ATTACHMENT_URL_TTL_SECONDS` (default 300).
+ */
+export const createSignedDownloadUrl = async (env, baseUrl, attachment) => {
+  const ttl = Number.parseInt(env.FORMS_ATTACHMENT_URL_TTL_SECONDS || '300', 10) || 300;
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const signature = await signKey(getSigningSecret(env), attachment.key, expires);
+  const url = new URL('/api/forms/attachments/download', baseUrl);
+  url.searchParams.set('key', attachment.key);
+  url.searchParams.set('expires', String(expires));
+  url.searchParams.set('signature', signature);
+  return { url: url.toString(), expiresAt: new Date(expires * 1000).toISOString() };
+};
+
+export const verifySignedDownload = async (env, { key, expires, signature }) => {
+  const expiresAt = Number.parseInt(expires || '', 10);
+  if (!key || !signature || !Number.isFinite(expiresAt)) return false;
+  if (expiresAt < Math.floor(Date.now() / 1000)) return false;
+  const expected = await signKey(getSigningSecret(env), key, expiresAt);
+  return timingSafeEqual(expected, signature);
+};
+
+export const getAttachmentObject = (env, key) => getBucket(env).get(key);
+
+/**
+ * Read a submission request. JSON bodies are returned as-is; multipart bodies carry
+ * the JSON in a `payload` part and every file part becomes an attachment.
+ * Returns `{ body, files }` where `files` is a list of `{ field, file }`.
+ */
+export const parseSubmissionBody = async (request) => {
+  const contentType = request.headers.get('content-type') || '';
+  if (!contentType.toLowerCase().startsWith('multipart/form-data')) {
+    return { body: await request.json(), files: [] };
+  }
+
+  const formData = await request.formData();
+  const files = [];
+  formData.forEach((value, key) => {
+    if (typeof value === 'object' && value !== null && typeof value.arrayBuffer === 'function') {
+      if (value.size > 0 || value.name) files.push({ field: key.replace(/\[\]$/, ''), file: value });
+    }
+  });
+
+  let body = {};
+  const payload = formData.get('payload');
+  if (typeof payload === 'string' && payload) {
+    try {
+      body = JSON.parse(payload);
+    } catch {
+      throw new Error('Invalid payload.');
+    }
+  }
+
+  return { body, files };
+};
@@ -0,0 +1,43 @@
+import { errorResponse } from '../utils.js';
+import { getAttachmentObject, verifySignedDownload } from '../attachments.js';
+
+/**
+ * Serve an attachment from a signed link. No session is needed; the signature and
+ * expiry in the query string are the authorization.
+ */
+export async function onRequestGet({ request, env }) {
+  try {
+    const url = new URL(request.url);
+    const key = url.searchParams.get('key');
+    const valid = await verifySignedDownload(env, {
+      key,
+      expires: url.searchParams.get('expires'),
+      signature: url.searchParams.get('signature'),
+    });
+
+    if (!valid) {
+      return errorResponse(403, 'This download link is invalid or has expired.');
+    }
+
+    const object = await getAttachmentObject(env, key);
+    if (!object) {
+      return errorResponse(404, 'Attachment not found.');
+    }
+
+    const fileName = key.split('/').pop().replace(/^[0-9a-f-]{36}-/, '');
+
+    // Always download rather than render, so uploaded HTML or SVG never runs on this origin.
+    return new Response(object.body, {
+      status: 200,
+      headers: {
+        'Content-Type': object.httpMetadata?.contentType || 'application/octet-stream',
+        'Content-Length': String(object.size),
+        'Content-Disposition': `attachment; filename="${fileName.replace(/"/g, '')}"`,
+        'Cache-Control': 'private, no-store',
+        'X-Content-Type-Options': 'nosniff',
+      },
+    });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to download attachment.');
+  }
+}
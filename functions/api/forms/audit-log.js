@@ -0,0 +1,61 @@
+import { errorResponse, jsonResponse } from './utils.js';
+import { AUDIT_ACTIONS } from './audit.js';
+import { forbiddenResponse, getAccessibleSiteIds, hasSiteRole, requireAdmin } from './access.js';
+import { buildAuditConditions, decodeAuditCursor, encodeAuditCursor, parseAuditFilters } from './filters.js';
+import { getStorage } from './storage/index.js';
+
+const AUDIT_FIELDS = 'id,action,admin_email,ip,user_agent,site_id,target_type,target_id,details,created_at';
+
+/**
+ * Owner-only view of the audit log. Global owners see every entry, including sign-ins;
+ * site owners see the entries recorded against the sites they own.
+ */
+export async function onRequestGet({ request, env }) {
+  try {
+    const { access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const ownedSites = getAccessibleSiteIds(access, 'owner');
+    if (ownedSites !== null && ownedSites.length === 0) {
+      return forbiddenResponse();
+    }
+
+    const url = new URL(request.url);
+    const limitParam = url.searchParams.get('limit') || '50';
+    const limit = Math.min(Math.max(Number.parseInt(limitParam, 10) || 50, 1), 200);
+
+    let filters;
+    try {
+      filters = parseAuditFilters(url.searchParams);
+    } catch (error) {
+      return errorResponse(400, error.message);
+    }
+
+    if (filters.siteId) {
+      if (!hasSiteRole(access, filters.siteId, 'owner')) {
+        return forbiddenResponse();
+      }
+    } else if (ownedSites !== null) {
+      filters = { ...filters, siteIds: ownedSites };
+    }
+
+    const cursorParam = url.searchParams.get('cursor');
+    const cursor = decodeAuditCursor(cursorParam);
+    if (cursorParam && !cursor) {
+      return errorResponse(400, 'Invalid cursor.');
+    }
+
+    const rows = await getStorage(env).select('forms_audit_log', {
+      columns: AUDIT_FIELDS,
+      where: buildAuditConditions(filters, cursor),
+      order: ['created_at.desc', 'id.desc'],
+      limit: limit + 1,
+    });
+    const entries = rows.slice(0, limit);
+    const nextCursor = rows.length > limit ? encodeAuditCursor(entries[entries.length - 1]) : null;
+
+    return jsonResponse({ success: true, entries, nextCursor, actions: AUDIT_ACTIONS });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to load audit log.');
+  }
+}
@@ -0,0 +1,69 @@
+import { getRequestMeta } from './utils.js';
+import { getStorage } from './storage/index.js';
+
+export const AUDIT_ACTIONS = [
+  'auth.code_requested',
+  'auth.login_denied',
+  'auth.login',
+  'auth.verify_failed',
+  'auth.logout',
+  'auth.session_revoked',
+  'auth.sessions_revoked',
+  'auth.mfa_failed',
+  'auth.mfa_enabled',
+  'auth.mfa_disabled',
+  'auth.recovery_codes_regenerated',
+  'submissions.list',
+  'submissions.export',
+  'submission.view',
+  'submission.status_changed',
+  'submission.released',
+  'submission.attachments_viewed',
+  'submissions.erased',
+  'abandoned.list',
+  'retention.purged',
+  'notification.failed',
+  'webhook.replayed',
+  'webhook.created',
+  'webhook.enabled',
+  'webhook.disabled',
+  'admin.granted',
+  'admin.revoked',
+  'site.created',
+  'site.updated',
+  'site.key_viewed',
+  'site.key_rotated',
+];
+
+/**
+ * Append an entry to `forms_audit_log`. Never throws: a failed audit write is logged
+ * rather than failing the admin's request.
+ */
+export const recordAudit = async (
+  env,
+  request,
+  { action, email = null, siteId = null, targetType = null, targetId = null, details = null }
+) => {
+  try {
+    // System events (cron runs, background sends) have no request.
+    const { ip, userAgent } = request ? getRequestMeta(request) : {};
+    await getStorage(env).insert('forms_audit_log', {
+      action,
+      admin_email: email,
+      ip: ip || null,
+      user_agent: userAgent || null,
+      site_id: siteId,
+      target_type: targetType,
+      target_id: targetId === null || targetId === undefined ? null : String(targetId),
+      details,
+    });
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+  }
+};
+
+// Keep the filters an admin used, minus empty values and the access scope added server-side.
+export const describeFilters = (filters) =>
+  Object.fromEntries(
+    Object.entries(filters || {}).filter(([key, value]) => key !== 'siteIds' && value !== null && value !== undefined)
+  );
@@ -0,0 +1,82 @@
+const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+// Token the local stand-in accepts; its widget is a plain checkbox that sends this value.
+export const LOCAL_CHALLENGE_TOKEN = 'local-pass';
+
+/**
+ * Challenge verifiers share one interface: `verify(token, { ip })` resolves to
+ * `{ success, errors }`. Pick one with `FORMS_CHALLENGE_PROVIDER` (default `turnstile`);
+ * `local` needs no network access and is meant for development and tests.
+ */
+export const CHALLENGE_VERIFIERS = {
+  turnstile: (env, site) => ({
+    name: 'turnstile',
+    verify: async (token, { ip } = {}) => {
+      const secret = site?.challenge_secret || env.TURNSTILE_SECRET_KEY;
+      if (!secret) {
+        throw new Error('Turnstile secret key not configured');
+      }
+
+      const body = new FormData();
+      body.append('secret', secret);
+      body.append('response', token);
+      if (ip) body.append('remoteip', ip);
+
+      const response = await fetch(TURNSTILE_VERIFY_URL, { method: 'POST', body });
+      const result = await response.json().catch(() => ({}));
+      return { success: result.success === true, errors: result['error-codes'] || [] };
+    },
+  }),
+  local: () => ({
+    name: 'local',
+    verify: async (token) =>
+      token === LOCAL_CHALLENGE_TOKEN ? { success: true, errors: [] } : { success: false, errors: ['invalid-input-response'] },
+  }),
+};
+
+export const getChallengeProvider = (env) => {
+  const provider = (env.FORMS_CHALLENGE_PROVIDER || 'turnstile').trim().toLowerCase();
+  if (!CHALLENGE_VERIFIERS[provider]) {
+    throw new Error(`Unknown challenge provider: ${provider}`);
+  }
+  return provider;
+};
+
+export const createChallengeVerifier = (env, site) => CHALLENGE_VERIFIERS[getChallengeProvider(env)](env, site);
+
+/**
+ * Public challenge settings for a site, as rendered by the embed script and the VIP form.
+ */
+export const getChallengeConfig = (env, site) => {
+  if (!site?.challenge_required) {
+    return { required: false, provider: null, siteKey: null };
+  }
+  const provider = getChallengeProvider(env);
+  return {
+    required: true,
+    provider,
+    siteKey: provider === 'turnstile' ? site.challenge_site_key || env.TURNSTILE_SITE_KEY || null : null,
+  };
+};
+
+/**
+ * Check a submission's challenge token when the site requires one.
+ * Returns `{ ok: true }` or `{ ok: false, error }`.
+ */
+export const verifyChallenge = async (env, site, token, { ip } = {}) => {
+  if (!site?.challenge_required) {
+    return { ok: true };
+  }
+
+  if (!token || typeof token !== 'string') {
+    return { ok: false, error: 'Please complete the verification challenge.' };
+  }
+
+  const result = await createChallengeVerifier(env, site).verify(token, { ip });
+  if (!result.success) {
+    console.error(`Challenge failed for ${site.site_id}: ${result.errors.join(', ') || 'unknown error'}`);
+    return { ok: false, error: 'Verification challenge failed. Please try again.' };
+  }
+
+  return { ok: true };
+};
@@ -0,0 +1,43 @@
+import { buildCorsHeaders, errorResponse, getAllowedOrigins, jsonResponse } from './utils.js';
+import { getSite } from './pipeline.js';
+import { getChallengeConfig } from './challenge.js';
+
+export async function onRequestOptions({ request }) {
+  const origin = request.headers.get('origin') || '*';
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': origin,
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Max-Age': '86400',
+      Vary: 'Origin',
+    },
+  });
+}
+
+/**
+ * Public, per-site settings that form clients need before rendering (currently the challenge).
+ */
+export async function onRequestGet({ request, env }) {
+  const origin = request.headers.get('origin') || '';
+  let corsHeaders = origin ? { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' } : {};
+
+  try {
+    const url = new URL(request.url);
+    const siteId = (url.searchParams.get('siteId') || '').trim();
+    if (!siteId) {
+      return errorResponse(400, 'siteId is required.', corsHeaders);
+    }
+
+    const site = await getSite(env, siteId);
+    if (!site) {
+      return errorResponse(404, 'Unknown site.', corsHeaders);
+    }
+
+    corsHeaders = buildCorsHeaders(origin, getAllowedOrigins(site));
+
+    return jsonResponse({ success: true, challenge: getChallengeConfig(env, site) }, 200, corsHeaders);
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to load form config.', corsHeaders);
+  }
+}
@@ -0,0 +1,39 @@
+import { checkCronSecret, errorResponse, jsonResponse } from '../utils.js';
+import { recordAudit } from '../audit.js';
+import { purgeExpiredSubmissions } from '../retention.js';
+import { purgeExpiredDrafts } from '../drafts.js';
+
+/**
+ * Apply every site's retention period and drop expired application drafts. Pages Functions have no cron triggers, so the
+ * companion worker in `scripts/forms-cron/` calls this on a schedule with `FORMS_CRON_SECRET`.
+ */
+export async function onRequestPost({ request, env }) {
+  try {
+    const denied = checkCronSecret(request, env);
+    if (denied) return denied;
+
+    const results = await purgeExpiredSubmissions(env);
+
+    for (const result of results.filter((entry) => entry.deleted > 0)) {
+      await recordAudit(env, request, {
+        action: 'retention.purged',
+        siteId: result.siteId,
+        targetType: 'submissions',
+        details: result,
+      });
+    }
+
+    const draftsPurged = await purgeExpiredDrafts(env);
+    if (draftsPurged > 0) {
+      await recordAudit(env, request, {
+        action: 'retention.purged',
+        targetType: 'drafts',
+        details: { deleted: draftsPurged },
+      });
+    }
+
+    return jsonResponse({ success: true, results, draftsPurged });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to apply retention.');
+  }
+}
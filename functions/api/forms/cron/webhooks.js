@@ -0,0 +1,17 @@
+import { checkCronSecret, errorResponse, jsonResponse } from '../utils.js';
+import { retryPendingDeliveries } from '../webhooks.js';
+
+/**
+ * Retry webhook deliveries that are due. Called every minute by the worker in `scripts/forms-cron/`.
+ */
+export async function onRequestPost({ request, env }) {
+  try {
+    const denied = checkCronSecret(request, env);
+    if (denied) return denied;
+
+    const result = await retryPendingDeliveries(env);
+    return jsonResponse({ success: true, ...result });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to retry webhooks.');
+  }
+}
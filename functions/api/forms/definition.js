@@ -0,0 +1,46 @@
+import vipDefinition from '../../../forms/definitions/vip-1on1.json';
+
+// Form definitions by form id. The files are also served as static assets for the browser to render from.
+const FORM_DEFINITIONS = { [vipDefinition.formId]: vipDefinition };
+
+export const getFormDefinition = (formId) => FORM_DEFINITIONS[formId] || null;
+
+// Keys of a definition field that the server validates; the rest only affect rendering.
+const VALIDATION_KEYS = ['type', 'required', 'maxLength', 'minLength', 'pattern', 'patternMessage', 'min', 'max', 'showIf'];
+
+const optionValue = (option) => (option && typeof option === 'object' ? String(option.value) : String(option));
+
+export const getDefinitionFields = (definition) => (definition?.steps || []).flatMap((step) => step.fields || []);
+
+/**
+ * Turn a JSON form definition (the file the browser renders from) into the schema shape
+ * `validateSubmission` and the notification email use. `shortLabel` names the field in
+ * emails and exports; select `options` become an `enum`; each step becomes an email section.
+ */
+export const buildDefinitionSchema = (definition) => {
+  const fields = Object.fromEntries(
+    getDefinitionFields(definition).map((field) => {
+      const rules = Object.fromEntries(
+        VALIDATION_KEYS.filter((key) => field[key] !== undefined).map((key) => [key, field[key]])
+      );
+      if (Array.isArray(field.options)) {
+        rules.enum = field.options.map(optionValue);
+      }
+      return [field.name, { type: 'string', ...rules, label: field.shortLabel || field.label || field.name }];
+    })
+  );
+
+  const { name, label, description, ...attachments } = definition.attachments || {};
+
+  return {
+    display_name: definition.displayName || null,
+    email_subject: definition.emailSubject || null,
+    unknown_fields: definition.unknownFields || 'strip',
+    attachments: definition.attachments ? attachments : null,
+    fields,
+    sections: (definition.steps || []).map((step) => ({
+      title: step.title,
+      fields: (step.fields || []).map((field) => field.name),
+    })),
+  };
+};
@@ -0,0 +1,144 @@
+import { escapeHtml } from './format.js';
+import { generateToken, hashString, normalizeEmail } from './utils.js';
+import { eq, getStorage, gt, inList, lt, neq } from './storage/index.js';
+
+const DRAFT_FIELDS = 'id,site_id,form_id,email,data,current_step,created_at,updated_at,expires_at';
+const MAX_VALUE_LENGTH = 5000;
+const MAX_STEP = 100;
+
+export const getDraftTtlDays = (env) => Number.parseInt(env.FORMS_DRAFT_TTL_DAYS || '30', 10);
+
+const hashDraftToken = (token) => hashString(`draft:${token}`);
+
+const expiresAt = (env) => new Date(Date.now() + getDraftTtlDays(env) * 24 * 3600 * 1000).toISOString();
+
+/**
+ * Keep only the form's own fields, as strings. Files cannot be saved in a draft;
+ * the applicant attaches them again before submitting.
+ */
+export const sanitizeDraftData = (data, fieldNames) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return {};
+  return Object.fromEntries(
+    fieldNames
+      .filter((name) => typeof data[name] === 'string' || typeof data[name] === 'number')
+      .map((name) => [name, String(data[name]).slice(0, MAX_VALUE_LENGTH)])
+  );
+};
+
+export const parseDraftStep = (value) => {
+  const step = Number(value);
+  return Number.isInteger(step) && step >= 1 && step <= MAX_STEP ? step : 1;
+};
+
+/**
+ * The unexpired draft for a resume token, or null. `siteId`/`formId` stop a token for
+ * one form from opening another form's draft.
+ */
+export const loadDraft = async (env, token, { siteId, formId }) => {
+  if (!token || typeof token !== 'string') return null;
+  return getStorage(env).first('forms_drafts', {
+    columns: DRAFT_FIELDS,
+    where: [
+      eq('token_hash', await hashDraftToken(token)),
+      eq('site_id', siteId),
+      eq('form_id', formId),
+      gt('expires_at', new Date().toISOString()),
+    ],
+  });
+};
+
+/**
+ * Create a draft, or update the one `token` points at. Every save pushes the expiry
+ * back by FORMS_DRAFT_TTL_DAYS. Returns `{ token, draft }`; the token is only known here.
+ */
+export const saveDraft = async (env, { token = null, siteId, formId, data, currentStep, email = null }) => {
+  const storage = getStorage(env);
+  const values = {
+    data,
+    current_step: currentStep,
+    updated_at: new Date().toISOString(),
+    expires_at: expiresAt(env),
+    ...(email ? { email: normalizeEmail(email) } : {}),
+  };
+
+  const existing = token ? await loadDraft(env, token, { siteId, formId }) : null;
+  if (existing) {
+    const rows = await storage.update('forms_drafts', eq('id', existing.id), values, { returning: DRAFT_FIELDS });
+    return { token, draft: rows[0] };
+  }
+
+  const newToken = generateToken();
+  const rows = await storage.insert(
+    'forms_drafts',
+    {
+      id: crypto.randomUUID(),
+      site_id: siteId,
+      form_id: formId,
+      token_hash: await hashDraftToken(newToken),
+      email: null,
+      ...values,
+    },
+    { returning: DRAFT_FIELDS }
+  );
+  return { token: newToken, draft: rows[0] };
+};
+
+export const deleteDraft = async (env, token, { siteId, formId }) => {
+  if (!token || typeof token !== 'string') return false;
+  const removed = await getStorage(env).remove(
+    'forms_drafts',
+    [eq('token_hash', await hashDraftToken(token)), eq('site_id', siteId), eq('form_id', formId)],
+    { returning: 'id' }
+  );
+  return removed.length > 0;
+};
+
+/**
+ * Drafts saved with an email address, for erasure requests. `siteIds` null means every site.
+ */
+export const findDraftsByEmail = (env, email, siteIds = null) => {
+  if (siteIds !== null && siteIds.length === 0) return [];
+  return getStorage(env).select('forms_drafts', {
+    columns: 'id,site_id',
+    where: [eq('email', normalizeEmail(email)), siteIds !== null && inList('site_id', siteIds)],
+  });
+};
+
+export const deleteDrafts = async (env, drafts) => {
+  if (drafts.length === 0) return;
+  await getStorage(env).remove('forms_drafts', inList('id', drafts.map((draft) => draft.id)));
+};
+
+/**
+ * Drafts with an email address that nobody has touched for FORMS_ABANDONED_AFTER_MINUTES
+ * (default 60). Submitted drafts are deleted, so everything left here was never sent.
+ */
+export const findAbandonedDrafts = (env, conditions, { limit, now = Date.now() }) => {
+  const minutes = Number.parseInt(env.FORMS_ABANDONED_AFTER_MINUTES || '60', 10);
+  return getStorage(env).select('forms_drafts', {
+    columns: DRAFT_FIELDS,
+    where: [
+      ...conditions,
+      neq('email', null),
+      lt('updated_at', new Date(now - minutes * 60 * 1000).toISOString()),
+      gt('expires_at', new Date(now).toISOString()),
+    ],
+    order: ['updated_at.desc'],
+    limit,
+  });
+};
+
+export const purgeExpiredDrafts = async (env, { now = Date.now() } = {}) => {
+  const removed = await getStorage(env).remove('forms_drafts', lt('expires_at', new Date(now).toISOString()), {
+    returning: 'id',
+  });
+  return removed.length;
+};
+
+export const buildResumeEmail = ({ formName, link, expiresDays }) => `
+    <h2>Continue your ${escapeHtml(formName)}</h2>
+    <p>Your answers so far are saved. Use this link to pick up where you left off, on any device:</p>
+    <p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>
+    <p>The link works for ${expiresDays} days after your last change. Anyone with the link can see your answers, so please don't forward it.</p>
+    <p style="color:#6b7280; font-size: 12px;">Attached documents are not saved; add them again before you submit.</p>
+  `;
@@ -0,0 +1,78 @@
+import { errorResponse, hashString, jsonResponse, normalizeEmail } from './utils.js';
+import { forbiddenResponse, getAccessibleSiteIds, requireAdmin } from './access.js';
+import { recordAudit } from './audit.js';
+import { ERASURE_MODES, anonymizeSubmissions, deleteSubmissions, findSubmissionsByEmail } from './retention.js';
+import { deleteDrafts, findDraftsByEmail } from './drafts.js';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const countBySite = (submissions) =>
+  submissions.reduce((counts, submission) => {
+    counts[submission.site_id] = (counts[submission.site_id] || 0) + 1;
+    return counts;
+  }, {});
+
+/**
+ * Right-to-erasure: delete or anonymize every submission made with an email address,
+ * across the sites the admin owns, plus any saved drafts (always deleted: they are unsubmitted).
+ * `dryRun` only reports what would be erased.
+ */
+export async function onRequestPost({ request, env }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const siteIds = getAccessibleSiteIds(access, 'owner');
+    if (siteIds !== null && siteIds.length === 0) {
+      return forbiddenResponse();
+    }
+
+    const body = await request.json();
+    const email = normalizeEmail(body?.email);
+    const mode = String(body?.mode || 'delete').trim();
+    const dryRun = body?.dryRun === true;
+
+    if (!EMAIL_REGEX.test(email)) {
+      return errorResponse(400, 'A valid email is required.');
+    }
+    if (!ERASURE_MODES.includes(mode)) {
+      return errorResponse(400, `Mode must be one of: ${ERASURE_MODES.join(', ')}.`);
+    }
+
+    const submissions = await findSubmissionsByEmail(env, email, siteIds);
+    const sites = countBySite(submissions);
+    const drafts = await findDraftsByEmail(env, email, siteIds);
+
+    if (dryRun) {
+      return jsonResponse({ success: true, dryRun: true, matched: submissions.length, sites, drafts: drafts.length });
+    }
+
+    if (mode === 'anonymize') {
+      await anonymizeSubmissions(env, submissions);
+    } else {
+      await deleteSubmissions(env, submissions);
+    }
+    await deleteDrafts(env, drafts);
+
+    // The audit entry keeps a hash of the address, not the address itself, so a repeat
+    // request can be matched to this one without retaining the person's email.
+    await recordAudit(env, request, {
+      action: 'submissions.erased',
+      email: session.email,
+      siteId: Object.keys(sites).length === 1 ? Object.keys(sites)[0] : null,
+      targetType: 'data_subject',
+      targetId: await hashString(`erasure:${email}`),
+      details: {
+        mode,
+        erased: submissions.length,
+        sites,
+        submissionIds: submissions.map((submission) => submission.id),
+        drafts: drafts.length,
+      },
+    });
+
+    return jsonResponse({ success: true, mode, erased: submissions.length, sites, drafts: drafts.length });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to erase submissions.');
+  }
+}
@@ -0,0 +1,164 @@
+import { errorResponse } from './utils.js';
+import { forbiddenResponse, requireAdmin, scopeFiltersToAccess } from './access.js';
+import { buildSubmissionConditions, parseSubmissionFilters } from './filters.js';
+import { flattenData } from './format.js';
+import { buildXlsx } from './xlsx.js';
+import { describeFilters, recordAudit } from './audit.js';
+import { getStorage } from './storage/index.js';
+
+const PAGE_SIZE = 1000;
+const META_COLUMNS = ['id', 'submitted_at', 'site_id', 'form_id', 'status', 'origin', 'page_url', 'referrer'];
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const fetchAllSubmissions = async (env, filters, maxRows) => {
+  const storage = getStorage(env);
+  const rows = [];
+  let cursor = null;
+
+  while (rows.length < maxRows) {
+    const limit = Math.min(PAGE_SIZE, maxRows - rows.length);
+    const page = await storage.select('forms_submissions', {
+      columns: [...META_COLUMNS, 'data'],
+      where: buildSubmissionConditions(filters, cursor),
+      order: ['submitted_at.desc', 'id.desc'],
+      limit,
+    });
+    rows.push(...page);
+
+    if (page.length < limit) break;
+    const last = page[page.length - 1];
+    cursor = { submittedAt: last.submitted_at, id: String(last.id) };
+  }
+
+  return rows;
+};
+
+/**
+ * Flatten every submission and collect the union of data keys in first-seen order.
+ * Data keys that clash with a metadata column are prefixed with `data.`.
+ */
+const buildTable = (submissions) => {
+  const dataColumns = [];
+  const seen = new Set(META_COLUMNS);
+
+  const records = submissions.map((submission) => {
+    const record = {};
+    META_COLUMNS.forEach((column) => {
+      record[column] = submission[column] === null || submission[column] === undefined ? '' : String(submission[column]);
+    });
+
+    Object.entries(flattenData(submission.data)).forEach(([key, value]) => {
+      const column = META_COLUMNS.includes(key) ? `data.${key}` : key;
+      if (!seen.has(column)) {
+        seen.add(column);
+        dataColumns.push(column);
+      }
+      record[column] = value;
+    });
+
+    return record;
+  });
+
+  return { columns: [...META_COLUMNS, ...dataColumns], records };
+};
+
+// Prefix values spreadsheet apps would evaluate as formulas.
+const neutralizeFormula = (value) => (/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+const csvCell = (value) => {
+  const text = neutralizeFormula(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const streamChunks = (chunks) => {
+  const encoder = new TextEncoder();
+  const iterator = chunks[Symbol.iterator]();
+  return new ReadableStream({
+    pull(controller) {
+      const { value, done } = iterator.next();
+      if (done) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(encoder.encode(value));
+    },
+  });
+};
+
+function* csvChunks(columns, records) {
+  yield `\uFEFF${columns.map(csvCell).join(',')}\r\n`;
+  for (const record of records) {
+    yield `${columns.map((column) => csvCell(record[column])).join(',')}\r\n`;
+  }
+}
+
+function* jsonChunks(columns, records) {
+  yield '[';
+  for (let i = 0; i < records.length; i += 1) {
+    const ordered = {};
+    columns.forEach((column) => {
+      if (records[i][column] !== undefined) ordered[column] = records[i][column];
+    });
+    yield `${i === 0 ? '' : ','}\n${JSON.stringify(ordered)}`;
+  }
+  yield '\n]\n';
+}
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const url = new URL(request.url);
+    const format = (url.searchParams.get('format') || 'csv').toLowerCase();
+    if (!FORMATS[format]) {
+      return errorResponse(400, 'Format must be csv, xlsx or json.');
+    }
+
+    let filters;
+    try {
+      filters = scopeFiltersToAccess(parseSubmissionFilters(url.searchParams), access);
+    } catch (error) {
+      return errorResponse(400, error.message);
+    }
+
+    if (!filters) {
+      return forbiddenResponse();
+    }
+
+    const maxRows = Number.parseInt(env.FORMS_EXPORT_MAX_ROWS || '10000', 10);
+    const hasSites = !filters.siteIds || filters.siteIds.length > 0;
+    const submissions = hasSites ? await fetchAllSubmissions(env, filters, maxRows) : [];
+    const { columns, records } = buildTable(submissions);
+
+    await recordAudit(env, request, {
+      action: 'submissions.export',
+      email: session.email,
+      siteId: filters.siteId || null,
+      targetType: 'submissions',
+      details: { format, filters: describeFilters(filters), count: submissions.length },
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    const scope = [filters.siteId || 'all-sites', filters.formId].filter(Boolean).join('-').replace(/[^a-zA-Z0-9_-]+/g, '_');
+    const headers = {
+      'Content-Type': FORMATS[format],
+      'Content-Disposition': `attachment; filename="submissions-${scope}-${date}.${format}"`,
+      'Cache-Control': 'no-store',
+    };
+
+    if (format === 'xlsx') {
+      const rows = records.map((record) => columns.map((column) => record[column] ?? ''));
+      return new Response(buildXlsx(columns, rows), { status: 200, headers });
+    }
+
+    const chunks = format === 'csv' ? csvChunks(columns, records) : jsonChunks(columns, records);
+    return new Response(streamChunks(chunks), { status: 200, headers });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to export submissions.');
+  }
+}
@@ -0,0 +1,222 @@
+import { base64Url, base64UrlDecode } from './utils.js';
+import { isValidStatus } from './status.js';
+import { and, eq, gte, ilike, inList, lt, lte, neq, or } from './storage/index.js';
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const SEARCH_FIELDS = ['name', 'firstName', 'lastName', 'fullName', 'email', 'phone'];
+const SPAM_FILTERS = ['exclude', 'only', 'include'];
+
+// Cursors are an opaque `{ t, id }` pair: the sort timestamp plus the id as a tiebreaker.
+const encodeKeyset = (t, id) => base64Url(new TextEncoder().encode(JSON.stringify({ t, id })));
+
+const decodeKeyset = (cursor) => {
+  if (!cursor) return null;
+  try {
+    const parsed = JSON.parse(new TextDecoder().decode(base64UrlDecode(cursor)));
+    if (!parsed?.t || parsed.id === undefined || parsed.id === null) return null;
+    return { t: String(parsed.t), id: String(parsed.id) };
+  } catch {
+    return null;
+  }
+};
+
+export const encodeCursor = (submission) => (submission ? encodeKeyset(submission.submitted_at, submission.id) : null);
+
+export const decodeCursor = (cursor) => {
+  const keyset = decodeKeyset(cursor);
+  return keyset ? { submittedAt: keyset.t, id: keyset.id } : null;
+};
+
+export const encodeAuditCursor = (entry) => (entry ? encodeKeyset(entry.created_at, entry.id) : null);
+
+export const decodeAuditCursor = (cursor) => {
+  const keyset = decodeKeyset(cursor);
+  return keyset ? { createdAt: keyset.t, id: keyset.id } : null;
+};
+
+/**
+ * Parse a date filter. Date-only values (YYYY-MM-DD) cover the whole UTC day,
+ * so `to=2024-05-01` includes submissions made on May 1st.
+ */
+const parseDate = (value, endOfDay = false) => {
+  if (!value) return null;
+  const trimmed = value.trim();
+  if (DATE_ONLY_REGEX.test(trimmed)) {
+    return `${trimmed}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`;
+  }
+  const date = new Date(trimmed);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+export const parseSubmissionFilters = (searchParams) => {
+  const text = (name) => (searchParams.get(name) || '').trim();
+  const fromParam = text('from');
+  const toParam = text('to');
+  const from = parseDate(fromParam);
+  const to = parseDate(toParam, true);
+
+  if ((fromParam && !from) || (toParam && !to)) {
+    throw new Error('Invalid date filter.');
+  }
+
+  // Archived submissions are hidden unless a status (or `all`) is requested explicitly.
+  const status = text('status') || 'active';
+  if (!['active', 'all'].includes(status) && !isValidStatus(status)) {
+    throw new Error('Invalid status filter.');
+  }
+
+  // Quarantined submissions only show up in the spam view.
+  const spam = text('spam') || 'exclude';
+  if (!SPAM_FILTERS.includes(spam)) {
+    throw new Error('Invalid spam filter.');
+  }
+
+  return {
+    siteId: text('siteId') || null,
+    formId: text('formId') || null,
+    from,
+    to,
+    search: text('search').slice(0, 100) || null,
+    status,
+    spam,
+  };
+};
+
+const siteCondition = (filters) => {
+  if (filters.siteId) return eq('site_id', filters.siteId);
+  if (filters.siteIds) return inList('site_id', filters.siteIds);
+  return null;
+};
+
+// Rows sorted newest first that come after the cursor row.
+const beforeCursor = (column, timestamp, id) => or(lt(column, timestamp), and(eq(column, timestamp), lt('id', id)));
+
+/**
+ * Build the storage conditions for submission listings and exports.
+ */
+export const buildSubmissionConditions = (filters, cursor = null) => {
+  const conditions = [siteCondition(filters)];
+
+  if (filters.formId) {
+    conditions.push(eq('form_id', filters.formId));
+  }
+
+  if (filters.status === 'active') {
+    conditions.push(neq('status', 'archived'));
+  } else if (filters.status && filters.status !== 'all') {
+    conditions.push(eq('status', filters.status));
+  }
+
+  if (filters.spam === 'only') {
+    conditions.push(eq('quarantined', true));
+  } else if (filters.spam !== 'include') {
+    conditions.push(eq('quarantined', false));
+  }
+
+  if (filters.from) {
+    conditions.push(gte('submitted_at', filters.from));
+  }
+
+  if (filters.to) {
+    conditions.push(lte('submitted_at', filters.to));
+  }
+
+  if (filters.search) {
+    const pattern = `*${filters.search.replace(/[*%_]/g, '')}*`;
+    conditions.push(or(SEARCH_FIELDS.map((field) => ilike(`data->>${field}`, pattern))));
+  }
+
+  if (cursor) {
+    conditions.push(beforeCursor('submitted_at', cursor.submittedAt, cursor.id));
+  }
+
+  return conditions.filter(Boolean);
+};
+
+/**
+ * Parse the site, form and date filters shared by the step funnel and the abandoned
+ * applications list.
+ */
+export const parseFunnelFilters = (searchParams) => {
+  const text = (name) => (searchParams.get(name) || '').trim();
+  const fromParam = text('from');
+  const toParam = text('to');
+  const from = parseDate(fromParam);
+  const to = parseDate(toParam, true);
+
+  if ((fromParam && !from) || (toParam && !to)) {
+    throw new Error('Invalid date filter.');
+  }
+
+  return {
+    siteId: text('siteId') || null,
+    formId: text('formId') || null,
+    from,
+    to,
+  };
+};
+
+/**
+ * Conditions for funnel sessions or drafts, with the date range applied to `dateColumn`.
+ */
+export const buildFunnelConditions = (filters, dateColumn) =>
+  [
+    siteCondition(filters),
+    filters.formId && eq('form_id', filters.formId),
+    filters.from && gte(dateColumn, filters.from),
+    filters.to && lte(dateColumn, filters.to),
+  ].filter(Boolean);
+
+/**
+ * Parse audit log filters. `action` matches exactly, or by prefix when it ends in `.`
+ * (so `auth.` selects every sign-in event).
+ */
+export const parseAuditFilters = (searchParams) => {
+  const text = (name) => (searchParams.get(name) || '').trim();
+  const fromParam = text('from');
+  const toParam = text('to');
+  const from = parseDate(fromParam);
+  const to = parseDate(toParam, true);
+
+  if ((fromParam && !from) || (toParam && !to)) {
+    throw new Error('Invalid date filter.');
+  }
+
+  return {
+    siteId: text('siteId') || null,
+    action: text('action').slice(0, 100) || null,
+    email: text('email').toLowerCase().slice(0, 200) || null,
+    from,
+    to,
+  };
+};
+
+export const buildAuditConditions = (filters, cursor = null) => {
+  const conditions = [siteCondition(filters)];
+
+  if (filters.action) {
+    conditions.push(
+      filters.action.endsWith('.')
+        ? ilike('action', `${filters.action.replace(/[*%_]/g, '')}*`)
+        : eq('action', filters.action)
+    );
+  }
+
+  if (filters.email) {
+    conditions.push(ilike('admin_email', `*${filters.email.replace(/[*%_]/g, '')}*`));
+  }
+
+  if (filters.from) {
+    conditions.push(gte('created_at', filters.from));
+  }
+
+  if (filters.to) {
+    conditions.push(lte('created_at', filters.to));
+  }
+
+  if (cursor) {
+    conditions.push(beforeCursor('created_at', cursor.createdAt, cursor.id));
+  }
+
+  return conditions.filter(Boolean);
+};
@@ -0,0 +1,51 @@
+// Server-side counterparts of the dashboard's formatLabel/formatValue helpers in forms/forms.js.
+
+export const formatLabel = (key) => {
+  if (!key) return 'Field';
+  return String(key)
+    .replace(/[_-]+/g, ' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/\b\w/g, (char) => char.toUpperCase());
+};
+
+export const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) {
+    return value.map((entry) => (entry && typeof entry === 'object' ? JSON.stringify(entry) : String(entry))).join(', ');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Flatten submission data into a single-level object. Nested objects become
+ * dotted keys (`address.city`), arrays are joined and booleans read Yes/No.
+ */
+export const flattenData = (data, prefix = '', target = {}) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    if (prefix) target[prefix] = formatValue(data);
+    return target;
+  }
+
+  Object.entries(data).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenData(value, path, target);
+    } else {
+      target[path] = formatValue(value);
+    }
+  });
+
+  return target;
+};
+
+export const escapeHtml = (text) => {
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+};
@@ -0,0 +1,34 @@
+import { errorResponse, jsonResponse } from './utils.js';
+import { forbiddenResponse, requireAdmin, scopeFiltersToAccess } from './access.js';
+import { parseFunnelFilters } from './filters.js';
+import { summarizeFunnel } from './steps.js';
+
+/**
+ * Per-step drop-off for multi-step forms (`siteId`, `formId`, `from`, `to`), counted from
+ * the step views the form reports to `/api/contact/events`.
+ */
+export async function onRequestGet({ request, env }) {
+  try {
+    const { access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    let filters;
+    try {
+      filters = scopeFiltersToAccess(parseFunnelFilters(new URL(request.url).searchParams), access);
+    } catch (error) {
+      return errorResponse(400, error.message);
+    }
+
+    if (!filters) {
+      return forbiddenResponse();
+    }
+
+    if (filters.siteIds && filters.siteIds.length === 0) {
+      return jsonResponse({ success: true, sessions: 0, submitted: 0, steps: [], truncated: false });
+    }
+
+    return jsonResponse({ success: true, ...(await summarizeFunnel(env, filters)) });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to load the funnel.');
+  }
+}
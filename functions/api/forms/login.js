@@ -3,13 +3,16 @@ import {
   errorResponse,
   generateCode,
   getRequestMeta,
-  isAllowedAdmin,
   jsonResponse,
   normalizeEmail,
   sendResendEmail,
-  supabaseFetchJson,
   hashString,
+  throttledResponse,
 } from './utils.js';
+import { checkThrottle, recordSuccess } from './throttle.js';
+import { getAdminAccess, hasAnyAccess } from './access.js';
+import { recordAudit } from './audit.js';
+import { getStorage } from './storage/index.js';
 
 export async function onRequestPost({ request, env }) {
   try {
@@ -20,29 +23,36 @@ export async function onRequestPost({ request, env }) {
       return errorResponse(400, 'Email is required.');
     }
 
-    if (!isAllowedAdmin(email, env)) {
+    const { ip, userAgent } = getRequestMeta(request);
+
+    // Throttle before the allowlist check so unknown addresses can't be probed freely either.
+    const throttle = await checkThrottle(env, { kind: 'login', email, ip });
+    if (throttle.limited) {
+      return throttledResponse(throttle.retryAfter, 'Too many code requests. Please wait before trying again.');
+    }
+
+    const isAdmin = hasAnyAccess(await getAdminAccess(env, email));
+    if (!isAdmin) {
+      await recordAudit(env, request, { action: 'auth.login_denied', email });
       return errorResponse(403, 'Email is not authorized.');
     }
 
+    await recordSuccess(env, throttle);
+
     const code = generateCode();
     const challengeId = crypto.randomUUID();
     const expiresMinutes = Number.parseInt(env.FORMS_CODE_TTL_MINUTES || '10', 10);
     const expiresAt = new Date(Date.now() + expiresMinutes * 60 * 1000).toISOString();
-    const { ip, userAgent } = getRequestMeta(request);
 
     const codeHash = await hashString(`code:${code}:${email}:${challengeId}`);
 
-    await supabaseFetchJson(env, '/rest/v1/forms_auth_codes', {
-      method: 'POST',
-      headers: { Prefer: 'return=minimal' },
-      body: JSON.stringify({
-        id: challengeId,
-        email,
-        code_hash: codeHash,
-        expires_at: expiresAt,
-        ip,
-        user_agent: userAgent,
-      }),
+    await getStorage(env).insert('forms_auth_codes', {
+      id: challengeId,
+      email,
+      code_hash: codeHash,
+      expires_at: expiresAt,
+      ip,
+      user_agent: userAgent,
     });
 
     const fromEmail = env.FORMS_FROM_EMAIL || env.FROM_EMAIL || 'noreply@updates.topfundmanager.com';
@@ -57,6 +67,8 @@ export async function onRequestPost({ request, env }) {
       replyTo: fromEmail,
     });
 
+    await recordAudit(env, request, { action: 'auth.code_requested', email, targetType: 'challenge', targetId: challengeId });
+
     return jsonResponse({
       success: true,
       challengeId,
@@ -4,9 +4,10 @@ import {
   getSessionCookieName,
   jsonResponse,
   parseCookies,
-  supabaseFetchJson,
   hashString,
 } from './utils.js';
+import { recordAudit } from './audit.js';
+import { eq, getStorage } from './storage/index.js';
 
 export async function onRequestPost({ request, env }) {
   try {
@@ -15,10 +16,14 @@ export async function onRequestPost({ request, env }) {
 
     if (token) {
       const tokenHash = await hashString(`session:${token}`);
-      await supabaseFetchJson(env, `/rest/v1/forms_sessions?token_hash=eq.${encodeURIComponent(tokenHash)}`, {
-        method: 'DELETE',
-        headers: { Prefer: 'return=minimal' },
+      const deleted = await getStorage(env).remove('forms_sessions', eq('token_hash', tokenHash), {
+        returning: 'id,email',
       });
+
+      const session = deleted[0];
+      if (session) {
+        await recordAudit(env, request, { action: 'auth.logout', email: session.email, targetType: 'session', targetId: session.id });
+      }
     }
 
     return jsonResponse(
@@ -0,0 +1,32 @@
+const MAX_MESSAGES = 100;
+
+// Captured messages live in the running process, like the memory storage backend.
+const messages = [];
+
+/**
+ * With `FORMS_EMAIL_PROVIDER = "mailbox"`, outgoing email is kept here instead of being sent
+ * through Resend, and can be read at `/dev/mailbox`.
+ */
+export const isMailboxEnabled = (env) => (env.FORMS_EMAIL_PROVIDER || 'resend').trim().toLowerCase() === 'mailbox';
+
+export const captureEmail = ({ from, to, subject, html, replyTo }) => {
+  const message = {
+    id: crypto.randomUUID(),
+    from,
+    to: Array.isArray(to) ? to : [to],
+    subject,
+    html,
+    replyTo: replyTo || null,
+    sentAt: new Date().toISOString(),
+  };
+  messages.unshift(message);
+  messages.splice(MAX_MESSAGES);
+  return message;
+};
+
+// Newest first.
+export const listCapturedEmails = () => messages.map((message) => ({ ...message, to: [...message.to] }));
+
+export const clearCapturedEmails = () => {
+  messages.length = 0;
+};
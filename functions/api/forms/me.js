@@ -1,16 +1,18 @@
-import { errorResponse, jsonResponse, requireSession } from './utils.js';
+import { errorResponse, jsonResponse } from './utils.js';
+import { isGlobalOwner, requireAdmin } from './access.js';
 
 export async function onRequestGet({ request, env }) {
   try {
-    const session = await requireSession(request, env);
-    if (!session) {
-      return errorResponse(401, 'Unauthorized');
-    }
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
 
     return jsonResponse({
       success: true,
       email: session.email,
       expiresAt: session.expires_at,
+      roles: access.grants,
+      isOwner: Object.values(access.grants).includes('owner'),
+      isGlobalOwner: isGlobalOwner(access),
     });
   } catch (error) {
     return errorResponse(500, error.message || 'Unable to load session.');
@@ -0,0 +1,60 @@
+import { errorResponse, jsonResponse } from '../utils.js';
+import { isMfaRequired, requireAdmin } from '../access.js';
+import { recordAudit } from '../audit.js';
+import { checkSecondFactor, countRecoveryCodes, deleteMfa, getMfaRecord } from '../mfa.js';
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const record = await getMfaRecord(env, session.email);
+    const enabled = Boolean(record?.enabled_at);
+
+    return jsonResponse({
+      success: true,
+      enabled,
+      enabledAt: record?.enabled_at || null,
+      required: await isMfaRequired(env, access),
+      recoveryCodesRemaining: enabled ? await countRecoveryCodes(env, session.email) : 0,
+    });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to load two-factor settings.');
+  }
+}
+
+/**
+ * Turn off two-factor authentication. Needs a current authenticator or recovery code,
+ * and is refused while any of the admin's sites requires it.
+ */
+export async function onRequestDelete({ request, env }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const body = await request.json().catch(() => ({}));
+    const record = await getMfaRecord(env, session.email);
+    if (!record?.enabled_at) {
+      return errorResponse(404, 'Two-factor authentication is not enabled.');
+    }
+
+    if (await isMfaRequired(env, access)) {
+      return errorResponse(409, 'Two-factor authentication is required for one of your sites.');
+    }
+
+    const result = await checkSecondFactor(env, record, {
+      code: String(body?.code || '').trim(),
+      recoveryCode: String(body?.recoveryCode || '').trim(),
+    });
+    if (!result.ok) {
+      return errorResponse(401, 'Invalid authenticator code.');
+    }
+
+    await deleteMfa(env, session.email);
+    await recordAudit(env, request, { action: 'auth.mfa_disabled', email: session.email, details: { method: result.method } });
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to disable two-factor authentication.');
+  }
+}
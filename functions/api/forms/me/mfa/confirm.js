@@ -0,0 +1,56 @@
+import { errorResponse, jsonResponse, revokeSessions, startSession } from '../../utils.js';
+import { recordAudit } from '../../audit.js';
+import { eq, getStorage } from '../../storage/index.js';
+import { completePendingLogin, enableMfa, getMfaRecord, replaceRecoveryCodes, resolveEnrollment } from '../../mfa.js';
+
+/**
+ * Finish TOTP enrolment with the first code from the authenticator and issue recovery codes.
+ * When enrolling during login (`mfaToken`), this also completes the login. Sessions started
+ * with only an email code are ended, apart from the one doing the enrolling.
+ */
+export async function onRequestPost({ request, env }) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { email, pending, session, response } = await resolveEnrollment(request, env, body);
+    if (response) return response;
+
+    const record = await getMfaRecord(env, email);
+    if (!record) {
+      return errorResponse(400, 'Start two-factor setup first.');
+    }
+    if (record.enabled_at) {
+      return errorResponse(409, 'Two-factor authentication is already enabled.');
+    }
+
+    if (!(await enableMfa(env, record, String(body?.code || '').trim()))) {
+      return errorResponse(400, 'Invalid authenticator code. Check the time on your device and try again.');
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(env, email);
+    const sessionsRevoked = await revokeSessions(env, [email], { keepSessionId: session?.id ?? null });
+    await recordAudit(env, request, { action: 'auth.mfa_enabled', email, details: { sessionsRevoked } });
+
+    if (!pending) {
+      // The code just proved the second factor, so this session counts as having passed it.
+      await getStorage(env).update('forms_sessions', eq('id', session.id), { mfa: true });
+      return jsonResponse({ success: true, recoveryCodes });
+    }
+
+    if (!(await completePendingLogin(env, pending))) {
+      return errorResponse(401, 'Your sign-in expired. Request a new email code.');
+    }
+
+    const cookie = await startSession(env, request, email, { mfa: true });
+    await recordAudit(env, request, {
+      action: 'auth.login',
+      email,
+      targetType: 'challenge',
+      targetId: pending.id,
+      details: { mfa: 'totp', enrolled: true },
+    });
+
+    return jsonResponse({ success: true, recoveryCodes }, 200, { 'Set-Cookie': cookie });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to confirm two-factor setup.');
+  }
+}
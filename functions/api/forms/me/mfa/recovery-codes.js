@@ -0,0 +1,32 @@
+import { errorResponse, jsonResponse } from '../../utils.js';
+import { requireAdmin } from '../../access.js';
+import { recordAudit } from '../../audit.js';
+import { checkSecondFactor, getMfaRecord, replaceRecoveryCodes } from '../../mfa.js';
+
+/**
+ * Replace every recovery code with a fresh set. Needs a current authenticator code.
+ */
+export async function onRequestPost({ request, env }) {
+  try {
+    const { session, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const body = await request.json().catch(() => ({}));
+    const record = await getMfaRecord(env, session.email);
+    if (!record?.enabled_at) {
+      return errorResponse(404, 'Two-factor authentication is not enabled.');
+    }
+
+    const result = await checkSecondFactor(env, record, { code: String(body?.code || '').trim() });
+    if (!result.ok) {
+      return errorResponse(401, 'Invalid authenticator code.');
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(env, session.email);
+    await recordAudit(env, request, { action: 'auth.recovery_codes_regenerated', email: session.email });
+
+    return jsonResponse({ success: true, recoveryCodes });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to regenerate recovery codes.');
+  }
+}
@@ -0,0 +1,31 @@
+import { errorResponse, jsonResponse } from '../../utils.js';
+import { buildOtpAuthUri, generateTotpSecret, getMfaRecord, resolveEnrollment } from '../../mfa.js';
+import { getStorage } from '../../storage/index.js';
+
+/**
+ * Start TOTP enrolment. A new secret is stored unconfirmed; it only takes effect once
+ * `/api/forms/me/mfa/confirm` sees a valid code from the authenticator.
+ */
+export async function onRequestPost({ request, env }) {
+  try {
+    const body = await request.json().catch(() => ({}));
+    const { email, response } = await resolveEnrollment(request, env, body);
+    if (response) return response;
+
+    const existing = await getMfaRecord(env, email);
+    if (existing?.enabled_at) {
+      return errorResponse(409, 'Two-factor authentication is already enabled.');
+    }
+
+    const secret = generateTotpSecret();
+    await getStorage(env).upsert(
+      'forms_admin_mfa',
+      { email, totp_secret: secret, enabled_at: null, last_used_step: null },
+      { onConflict: 'email' }
+    );
+
+    return jsonResponse({ success: true, secret, otpauthUri: buildOtpAuthUri(secret, email) });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to start two-factor setup.');
+  }
+}
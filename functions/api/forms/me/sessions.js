@@ -0,0 +1,76 @@
+import { errorResponse, jsonResponse } from '../utils.js';
+import { requireAdmin } from '../access.js';
+import { recordAudit } from '../audit.js';
+import { eq, getStorage, gt, neq } from '../storage/index.js';
+
+const SESSION_FIELDS = 'id,ip,user_agent,last_used_at,expires_at';
+
+const activeSessions = (email) => [eq('email', email), gt('expires_at', new Date().toISOString())];
+
+/**
+ * The signed-in admin's active sessions, most recently used first.
+ */
+export async function onRequestGet({ request, env }) {
+  try {
+    const { session, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const rows = await getStorage(env).select('forms_sessions', {
+      columns: SESSION_FIELDS,
+      where: activeSessions(session.email),
+      order: ['last_used_at.desc.nullslast'],
+    });
+
+    const sessions = rows.map((row) => ({ ...row, current: String(row.id) === String(session.id) }));
+
+    return jsonResponse({ success: true, sessions });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to load sessions.');
+  }
+}
+
+/**
+ * Revoke one of the admin's other sessions (`{ sessionId }`), or every session
+ * except the current one (`{ others: true }`). The current session ends via logout.
+ */
+export async function onRequestDelete({ request, env }) {
+  try {
+    const { session, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const body = await request.json().catch(() => ({}));
+    const sessionId = String(body?.sessionId || '').trim();
+    const others = body?.others === true;
+
+    if (!sessionId && !others) {
+      return errorResponse(400, 'sessionId or others is required.');
+    }
+    if (sessionId && sessionId === String(session.id)) {
+      return errorResponse(400, 'Use log out to end the current session.');
+    }
+
+    const target = others ? neq('id', session.id) : eq('id', sessionId);
+
+    // Scoped to the admin's own email, so one admin can never revoke another's session.
+    const removed = await getStorage(env).remove('forms_sessions', [...activeSessions(session.email), target], {
+      returning: 'id',
+    });
+
+    if (!others && removed.length === 0) {
+      return errorResponse(404, 'Session not found.');
+    }
+
+    const revoked = removed.length;
+    await recordAudit(env, request, {
+      action: others ? 'auth.sessions_revoked' : 'auth.session_revoked',
+      email: session.email,
+      targetType: 'session',
+      targetId: others ? null : sessionId,
+      details: { revoked },
+    });
+
+    return jsonResponse({ success: true, revoked });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to revoke sessions.');
+  }
+}
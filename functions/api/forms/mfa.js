@@ -0,0 +1,277 @@
+import { errorResponse, generateToken, getAdminEmails, hashString, timingSafeEqual } from './utils.js';
+import { eq, getStorage, gt, inList, neq } from './storage/index.js';
+import { ALL_SITES, requireAdmin } from './access.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const PENDING_LOGIN_MINUTES = 10;
+
+export const base32Encode = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  bytes.forEach((byte) => {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  });
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = String(input || '')
+    .toUpperCase()
+    .replace(/[\s=-]+/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+};
+
+export const generateTotpSecret = () => {
+  const bytes = new Uint8Array(20);
+  crypto.getRandomValues(bytes);
+  return base32Encode(bytes);
+};
+
+export const buildOtpAuthUri = (secret, email, issuer = 'Top Fund Manager Forms') => {
+  const label = encodeURIComponent(`${issuer}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// RFC 6238 code for one time step (HMAC-SHA1, 6 digits).
+const totpAt = async (secret, step) => {
+  const counter = new Uint8Array(8);
+  const view = new DataView(counter.buffer);
+  view.setUint32(0, Math.floor(step / 2 ** 32));
+  view.setUint32(4, step >>> 0);
+
+  const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary =
+    ((hmac[offset] & 127) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check a TOTP code, allowing one step of clock drift either way. Steps at or before
+ * `lastStep` are refused so a code cannot be replayed. Returns the matched step or null.
+ */
+export const verifyTotp = async (secret, code, { lastStep = null, now = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  for (const step of [current - 1, current, current + 1]) {
+    if (lastStep !== null && step <= Number(lastStep)) continue;
+    if (timingSafeEqual(await totpAt(secret, step), normalized)) return step;
+  }
+  return null;
+};
+
+export const getMfaRecord = (env, email) =>
+  getStorage(env).first('forms_admin_mfa', {
+    columns: 'email,totp_secret,enabled_at,last_used_step',
+    where: eq('email', email),
+  });
+
+/**
+ * Admins of a site, including FORMS_ADMIN_EMAILS owners, who have not enabled two-factor authentication.
+ */
+export const listSiteAdminsWithoutMfa = async (env, siteId) => {
+  const storage = getStorage(env);
+  const rows = await storage.select('forms_admins', {
+    columns: 'email',
+    where: inList('site_id', [siteId, ALL_SITES]),
+  });
+  const emails = [...new Set([...getAdminEmails(env), ...rows.map((row) => row.email)])];
+  if (emails.length === 0) return [];
+
+  const enrolled = await storage.select('forms_admin_mfa', {
+    columns: 'email',
+    where: [inList('email', emails), neq('enabled_at', null)],
+  });
+  const enabled = new Set(enrolled.map((row) => row.email));
+  return emails.filter((email) => !enabled.has(email));
+};
+
+const normalizeRecoveryCode = (code) =>
+  String(code || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (email, code) => hashString(`recovery:${email}:${normalizeRecoveryCode(code)}`);
+
+const generateRecoveryCode = () => {
+  const bytes = new Uint8Array(10);
+  crypto.getRandomValues(bytes);
+  const chars = Array.from(bytes, (byte) => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]).join('');
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+};
+
+/**
+ * Replace the admin's recovery codes. Only hashes are stored; the plain codes are
+ * returned once so they can be shown to the admin.
+ */
+export const replaceRecoveryCodes = async (env, email) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+  const rows = await Promise.all(
+    codes.map(async (code) => ({ email, code_hash: await hashRecoveryCode(email, code) }))
+  );
+
+  const storage = getStorage(env);
+  await storage.remove('forms_mfa_recovery_codes', eq('email', email));
+  await storage.insert('forms_mfa_recovery_codes', rows);
+
+  return codes;
+};
+
+export const countRecoveryCodes = async (env, email) => {
+  const rows = await getStorage(env).select('forms_mfa_recovery_codes', {
+    columns: 'id',
+    where: [eq('email', email), eq('used_at', null)],
+  });
+  return rows.length;
+};
+
+export const deleteMfa = async (env, email) => {
+  const storage = getStorage(env);
+  await storage.remove('forms_mfa_recovery_codes', eq('email', email));
+  await storage.remove('forms_admin_mfa', eq('email', email));
+};
+
+// Record the step that was just used, unless a concurrent request already used it (or a later one).
+const claimTotpStep = async (env, record, step) => {
+  const rows = await getStorage(env).update(
+    'forms_admin_mfa',
+    [eq('email', record.email), eq('last_used_step', record.last_used_step ?? null)],
+    { last_used_step: step },
+    { returning: 'email' }
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Check a second factor for an enrolled admin: a TOTP `code` or a one-time `recoveryCode`.
+ * Returns `{ ok: true, method }` or `{ ok: false }`.
+ */
+export const checkSecondFactor = async (env, record, { code, recoveryCode } = {}) => {
+  if (!record?.enabled_at) return { ok: false };
+
+  if (recoveryCode) {
+    const codeHash = await hashRecoveryCode(record.email, recoveryCode);
+    const used = await getStorage(env).update(
+      'forms_mfa_recovery_codes',
+      [eq('email', record.email), eq('code_hash', codeHash), eq('used_at', null)],
+      { used_at: new Date().toISOString() },
+      { returning: 'id' }
+    );
+    return used.length > 0 ? { ok: true, method: 'recovery_code' } : { ok: false };
+  }
+
+  const step = await verifyTotp(record.totp_secret, code, { lastStep: record.last_used_step });
+  if (step === null || !(await claimTotpStep(env, record, step))) {
+    return { ok: false };
+  }
+  return { ok: true, method: 'totp' };
+};
+
+/**
+ * Confirm a pending enrolment with the first code from the authenticator.
+ */
+export const enableMfa = async (env, record, code) => {
+  if (!record || record.enabled_at) return false;
+  const step = await verifyTotp(record.totp_secret, code);
+  if (step === null) return false;
+
+  const rows = await getStorage(env).update(
+    'forms_admin_mfa',
+    [eq('email', record.email), eq('enabled_at', null)],
+    { enabled_at: new Date().toISOString(), last_used_step: step },
+    { returning: 'email' }
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Park a login whose email code checked out until the second factor is provided.
+ * Returns the token the client sends to `/api/forms/verify-mfa`.
+ */
+export const createPendingLogin = async (env, challengeId) => {
+  const token = generateToken();
+  await getStorage(env).update('forms_auth_codes', eq('id', challengeId), {
+    mfa_token_hash: await hashString(`mfa:${token}`),
+    mfa_expires_at: new Date(Date.now() + PENDING_LOGIN_MINUTES * 60 * 1000).toISOString(),
+  });
+  return token;
+};
+
+export const getPendingLogin = async (env, token) => {
+  if (!token || typeof token !== 'string') return null;
+  const tokenHash = await hashString(`mfa:${token}`);
+  return getStorage(env).first('forms_auth_codes', {
+    columns: 'id,email',
+    where: [
+      eq('mfa_token_hash', tokenHash),
+      eq('mfa_completed_at', null),
+      gt('mfa_expires_at', new Date().toISOString()),
+    ],
+  });
+};
+
+// Single use: only the first request to complete a pending login gets a session.
+export const completePendingLogin = async (env, pending) => {
+  const rows = await getStorage(env).update(
+    'forms_auth_codes',
+    [eq('id', pending.id), eq('mfa_completed_at', null)],
+    { mfa_completed_at: new Date().toISOString() },
+    { returning: 'id' }
+  );
+  return rows.length > 0;
+};
+
+/**
+ * Who is enrolling: the signed-in admin, or an admin part-way through a login that
+ * requires a second factor they have not set up yet (identified by `mfaToken`).
+ * Returns `{ email, pending, session }` or `{ response }` like `requireAdmin`.
+ */
+export const resolveEnrollment = async (request, env, body) => {
+  if (body?.mfaToken) {
+    const pending = await getPendingLogin(env, String(body.mfaToken));
+    if (!pending) {
+      return { response: errorResponse(401, 'Your sign-in expired. Request a new email code.') };
+    }
+    return { email: pending.email, pending };
+  }
+
+  const { session, response } = await requireAdmin(request, env);
+  if (response) return { response };
+  return { email: session.email, pending: null, session };
+};
@@ -0,0 +1,128 @@
+import { normalizeEmail, sendResendEmail } from './utils.js';
+import { escapeHtml, flattenData, formatLabel } from './format.js';
+import { getSchemaFields } from './schema.js';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CELL_STYLE = 'padding: 8px; border: 1px solid #ddd; vertical-align: top;';
+
+export const parseEmailList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map((email) => normalizeEmail(email)).filter((email) => EMAIL_REGEX.test(email));
+};
+
+/**
+ * Recipients for a submission: the form's `notify_emails` when set, otherwise the site's.
+ */
+export const getNotificationRecipients = (site, schema) => {
+  const formRecipients = parseEmailList(schema?.notify_emails);
+  return formRecipients.length > 0 ? formRecipients : parseEmailList(site?.notify_emails);
+};
+
+/**
+ * Find the submitter's email: a field the schema declares as `email`, else an `email`-like key.
+ */
+export const findSubmitterEmail = (data, schema) => {
+  if (!data || typeof data !== 'object') return null;
+
+  const fields = getSchemaFields(schema);
+  const declared = Object.keys(fields).filter((name) => fields[name]?.type === 'email');
+  const candidates = [...declared, 'email', ...Object.keys(data).filter((key) => /email/i.test(key))];
+
+  for (const key of candidates) {
+    const value = typeof data[key] === 'string' ? data[key].trim() : '';
+    if (EMAIL_REGEX.test(value)) return value;
+  }
+  return null;
+};
+
+const buildRows = (entries, fields) =>
+  entries
+    .map(([key, value]) => {
+      const label = fields[key]?.label || key.split('.').map(formatLabel).join(' › ');
+      return `<tr><td style="${CELL_STYLE}"><strong>${escapeHtml(label)}</strong></td><td style="${CELL_STYLE}">${escapeHtml(
+        value || '—'
+      ).replace(/\n/g, '<br>')}</td></tr>`;
+    })
+    .join('');
+
+// Schemas built from a form definition group fields into `sections` (one per step); other
+// schemas list the fields in submission order. Fields outside every section go last.
+const buildSectionedRows = (data, schema) => {
+  const fields = getSchemaFields(schema);
+  const entries = Object.entries(flattenData(data));
+  if (!Array.isArray(schema?.sections)) return buildRows(entries, fields);
+
+  const sectionFields = new Set(schema.sections.flatMap((section) => section.fields || []));
+  const rootKey = (key) => key.split('.')[0];
+  const sections = schema.sections.map((section) => {
+    const sectionEntries = entries.filter(([key]) => (section.fields || []).includes(rootKey(key)));
+    if (sectionEntries.length === 0) return '';
+    return `<tr><th colspan="2" style="${CELL_STYLE} background: #f3f4f6; text-align: left;">${escapeHtml(
+      section.title
+    )}</th></tr>${buildRows(sectionEntries, fields)}`;
+  });
+  return sections.join('') + buildRows(entries.filter(([key]) => !sectionFields.has(rootKey(key))), fields);
+};
+
+// The schema's `display_name`, else a label made from the form id.
+const getFormName = (formId, schema) => schema?.display_name || (formId ? formatLabel(formId) : 'form');
+
+/**
+ * Fill `{field}` placeholders in the schema's `email_subject` from the submission data.
+ * Missing fields become empty; line breaks are removed so nothing can spill into other headers.
+ */
+export const buildSubjectLine = (template, data) =>
+  String(template)
+    .replace(/\{([\w.-]+)\}/g, (_, key) => {
+      const value = data?.[key];
+      return value === undefined || value === null || typeof value === 'object' ? '' : String(value);
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+export const buildSubmissionEmail = ({ site, formId, submission, schema }) => {
+  const rows = buildSectionedRows(submission.data, schema);
+
+  const siteName = site.site_name || site.site_id;
+  const attachments = (submission.attachments || []).map((attachment) => escapeHtml(attachment.name)).join(', ');
+
+  return `
+    <h2>New ${escapeHtml(getFormName(formId, schema))} submission</h2>
+    <p>${escapeHtml(siteName)} · ${escapeHtml(new Date(submission.submitted_at || Date.now()).toUTCString())}</p>
+    <table style="border-collapse: collapse; width: 100%;">
+      ${rows || `<tr><td style="${CELL_STYLE}">No form data provided.</td></tr>`}
+    </table>
+    ${attachments ? `<p><strong>Attachments:</strong> ${attachments} (download them from the forms dashboard)</p>` : ''}
+    <p style="color:#6b7280; font-size: 12px;">Page: ${escapeHtml(submission.page_url || 'Unknown')} · Origin: ${escapeHtml(
+      submission.origin || 'Unknown'
+    )}</p>
+  `;
+};
+
+/**
+ * Email the site's (or form's) notification recipients about a stored submission.
+ * The subject is the schema's `email_subject` template when it has one.
+ * Returns false when nobody is configured to receive it.
+ */
+export const sendSubmissionNotification = async (env, { site, schema, submission }) => {
+  const recipients = getNotificationRecipients(site, schema);
+  if (recipients.length === 0) return false;
+
+  const fromEmail = env.FORMS_FROM_EMAIL || env.FROM_EMAIL || 'noreply@updates.topfundmanager.com';
+  const formId = submission.form_id;
+  const siteName = site.site_name || site.site_id;
+  const subject =
+    (schema?.email_subject && buildSubjectLine(schema.email_subject, submission.data)) ||
+    `New ${getFormName(formId, schema)} submission: ${siteName}`;
+
+  await sendResendEmail(env, {
+    from: fromEmail,
+    to: recipients,
+    subject,
+    html: buildSubmissionEmail({ site, formId, submission, schema }),
+    replyTo: findSubmitterEmail(submission.data, schema) || fromEmail,
+  });
+
+  return true;
+};
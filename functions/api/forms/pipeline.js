@@ -0,0 +1,136 @@
+import { getFormSchema, validateSubmission } from './schema.js';
+import { dispatchSubmissionWebhooks } from './webhooks.js';
+import { sendSubmissionNotification } from './notifications.js';
+import { evaluateSpam } from './spam.js';
+import { verifyChallenge } from './challenge.js';
+import { recordAudit } from './audit.js';
+import { eq, getStorage } from './storage/index.js';
+import { deleteAttachments, getAttachmentRules, storeAttachments, validateAttachments } from './attachments.js';
+
+const SITE_FIELDS =
+  'site_id,site_name,site_key,previous_site_key,previous_key_expires_at,allowed_origins,reject_unknown_forms,notify_emails,spam_rules,challenge_required,challenge_site_key,challenge_secret';
+
+export const getSite = (env, siteId) =>
+  getStorage(env).first('forms_sites', { columns: SITE_FIELDS, where: eq('site_id', siteId) });
+
+// A failed notification means nobody hears about the lead, so it goes in the site's audit log
+// where owners will see it, not just the worker logs.
+const notifySubmission = async (env, { site, schema, submission }) => {
+  try {
+    await sendSubmissionNotification(env, { site, schema, submission });
+  } catch (error) {
+    console.error('Notification email error:', error);
+    await recordAudit(env, null, {
+      action: 'notification.failed',
+      siteId: submission.site_id,
+      targetType: 'submission',
+      targetId: submission.id,
+      details: { formId: submission.form_id, error: String(error.message || error).slice(0, 500) },
+    });
+  }
+};
+
+/**
+ * Send webhooks and notification emails for a stored, non-quarantined submission.
+ */
+export const fanOutSubmission = (env, { site, schema, submission, waitUntil }) => {
+  waitUntil(dispatchSubmissionWebhooks(env, submission).catch((error) => console.error('Webhook dispatch error:', error)));
+  waitUntil(notifySubmission(env, { site, schema, submission }));
+};
+
+/**
+ * Validate, store and fan out a submission for an already authorized site.
+ * `challengeToken` is verified when the site requires a challenge.
+ * `files` (`{ field, file }` entries) are checked against the form's attachment rules and
+ * uploaded before the row is inserted.
+ * `fallbackSchema` applies when no `forms_schemas` row exists for the form.
+ * Suspicious submissions are stored as quarantined and skip webhooks and notifications.
+ * Returns `{ submission, quarantined }` on success or `{ status, error }` when rejected.
+ * A failed challenge also sets `challengeFailed: true`. A failed validation adds `errors`,
+ * a map of field name to message, and the `schema` it was checked against, so callers can
+ * name fields by their labels.
+ */
+export const processSubmission = async (
+  env,
+  {
+    site,
+    formId = null,
+    data,
+    files = [],
+    meta = {},
+    requestMeta = {},
+    challengeToken = null,
+    waitUntil,
+    fallbackSchema = null,
+  }
+) => {
+  const challenge = await verifyChallenge(env, site, challengeToken, { ip: requestMeta.ip });
+  if (!challenge.ok) {
+    return { status: 403, error: challenge.error, challengeFailed: true };
+  }
+
+  const spam = evaluateSpam(site, data, meta);
+  const schema = (await getFormSchema(env, site.site_id, formId)) || fallbackSchema;
+
+  if (!schema && site.reject_unknown_forms) {
+    return { status: 400, error: 'Unknown form.' };
+  }
+
+  const validation = schema ? validateSubmission(schema, spam.data) : { data: spam.data, errors: {} };
+  const attachmentErrors = validateAttachments(files, getAttachmentRules(schema));
+  const errors = { ...validation.errors, ...attachmentErrors };
+
+  // Quarantined submissions still get a success response, so a bot learns nothing from it.
+  // They go through the same schema cleaning: answers that failed validation are dropped
+  // along with unknown fields and files the form would not have accepted.
+  if ((Object.keys(errors).length > 0 && !spam.quarantined) || !validation.data) {
+    return { status: 400, error: 'Submission failed validation.', errors, schema };
+  }
+
+  const cleanedData = validation.data;
+  const acceptedFiles = Object.keys(attachmentErrors).length === 0 ? files : [];
+  const submissionId = crypto.randomUUID();
+  const attachments =
+    acceptedFiles.length > 0
+      ? await storeAttachments(env, { siteId: site.site_id, submissionId, files: acceptedFiles })
+      : [];
+
+  let inserted;
+  try {
+    inserted = await getStorage(env).insert(
+      'forms_submissions',
+      {
+        id: submissionId,
+        site_id: site.site_id,
+        form_id: formId,
+        data: cleanedData,
+        attachments,
+        origin: requestMeta.origin || null,
+        ip: requestMeta.ip || null,
+        user_agent: requestMeta.userAgent || null,
+        page_url: meta.pageUrl || null,
+        referrer: meta.referrer || requestMeta.referrer || null,
+        quarantined: spam.quarantined,
+        spam_score: spam.score,
+        spam_reasons: spam.reasons,
+      },
+      { returning: true }
+    );
+  } catch (error) {
+    await deleteAttachments(env, attachments).catch((cleanupError) =>
+      console.error('Attachment cleanup error:', cleanupError)
+    );
+    throw error;
+  }
+
+  const submission = inserted?.[0];
+  if (!submission) {
+    throw new Error('Submission was not stored.');
+  }
+
+  if (!spam.quarantined) {
+    fanOutSubmission(env, { site, schema, submission, waitUntil });
+  }
+
+  return { submission, quarantined: spam.quarantined };
+};
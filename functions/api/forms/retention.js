@@ -0,0 +1,143 @@
+import { normalizeEmail } from './utils.js';
+import { deleteAttachments } from './attachments.js';
+import { eq, getStorage, ilike, inList, lt, neq, or } from './storage/index.js';
+
+const DAY_MS = 24 * 3600 * 1000;
+const BATCH_SIZE = 100;
+const MAX_BATCHES_PER_SITE = 20;
+export const MAX_RETENTION_DAYS = 3650;
+export const ERASURE_MODES = ['delete', 'anonymize'];
+
+// Submission data keys that hold the applicant's email address.
+const EMAIL_FIELDS = ['email', 'emailAddress', 'email_address'];
+
+/**
+ * Parse a retention period from the sites API. Empty means keep forever (null).
+ */
+export const parseRetentionDays = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+    throw new Error(`Retention must be between 1 and ${MAX_RETENTION_DAYS} days, or empty to keep submissions.`);
+  }
+  return days;
+};
+
+/**
+ * Delete submissions together with their status history, webhook deliveries (whose
+ * payloads repeat the data) and uploaded files. `submissions` need `id` and `attachments`.
+ */
+export const deleteSubmissions = async (env, submissions) => {
+  if (submissions.length === 0) return;
+  const ids = submissions.map((submission) => submission.id);
+
+  const attachments = submissions.flatMap((submission) => submission.attachments || []);
+  if (attachments.length > 0) {
+    await deleteAttachments(env, attachments);
+  }
+
+  const storage = getStorage(env);
+  for (const table of ['forms_webhook_deliveries', 'forms_submission_events']) {
+    await storage.remove(table, inList('submission_id', ids));
+  }
+
+  await storage.remove('forms_submissions', inList('id', ids));
+};
+
+/**
+ * Strip personal data from submissions but keep the rows, so counts and statuses survive.
+ * Field names are kept with null values; files, IPs and user agents are removed.
+ */
+export const anonymizeSubmissions = async (env, submissions) => {
+  if (submissions.length === 0) return;
+  const ids = submissions.map((submission) => submission.id);
+  const now = new Date().toISOString();
+
+  const attachments = submissions.flatMap((submission) => submission.attachments || []);
+  if (attachments.length > 0) {
+    await deleteAttachments(env, attachments);
+  }
+
+  const storage = getStorage(env);
+  await storage.remove('forms_webhook_deliveries', inList('submission_id', ids));
+
+  for (const submission of submissions) {
+    const data = Object.fromEntries(Object.keys(submission.data || {}).map((key) => [key, null]));
+    await storage.update('forms_submissions', eq('id', submission.id), {
+      data,
+      attachments: [],
+      ip: null,
+      user_agent: null,
+      referrer: null,
+      page_url: null,
+      erased_at: now,
+    });
+  }
+};
+
+/**
+ * Find every submission whose email field matches `email`, optionally limited to `siteIds`.
+ * ILIKE narrows the candidates; the exact (case-insensitive) comparison happens here, so
+ * `_` and `%` in an address can never match someone else's submission.
+ */
+export const findSubmissionsByEmail = async (env, email, siteIds = null) => {
+  const normalized = normalizeEmail(email);
+  const pattern = normalized.replace(/\*/g, '');
+  if (siteIds !== null && siteIds.length === 0) return [];
+
+  const rows = await getStorage(env).select('forms_submissions', {
+    columns: 'id,site_id,form_id,submitted_at,data,attachments',
+    where: [
+      eq('erased_at', null),
+      or(EMAIL_FIELDS.map((field) => ilike(`data->>${field}`, pattern))),
+      siteIds !== null && inList('site_id', siteIds),
+    ],
+    order: ['submitted_at.asc'],
+  });
+  return rows.filter((row) =>
+    EMAIL_FIELDS.some((field) => typeof row.data?.[field] === 'string' && normalizeEmail(row.data[field]) === normalized)
+  );
+};
+
+/**
+ * Delete submissions older than each site's `retention_days`. Work is capped per run
+ * (MAX_BATCHES_PER_SITE × BATCH_SIZE rows per site); the next run picks up the rest.
+ */
+export const purgeExpiredSubmissions = async (env, { now = Date.now() } = {}) => {
+  const storage = getStorage(env);
+  const sites = await storage.select('forms_sites', {
+    columns: 'site_id,retention_days',
+    where: neq('retention_days', null),
+    order: ['site_id.asc'],
+  });
+  const results = [];
+
+  for (const site of sites) {
+    const days = Number(site.retention_days);
+    if (!Number.isInteger(days) || days < 1) continue;
+
+    const cutoff = new Date(now - days * DAY_MS).toISOString();
+    let deleted = 0;
+    let complete = false;
+
+    for (let batch = 0; batch < MAX_BATCHES_PER_SITE; batch += 1) {
+      const rows = await storage.select('forms_submissions', {
+        columns: 'id,attachments',
+        where: [eq('site_id', site.site_id), lt('submitted_at', cutoff)],
+        order: ['submitted_at.asc'],
+        limit: BATCH_SIZE,
+      });
+
+      await deleteSubmissions(env, rows);
+      deleted += rows.length;
+      if (rows.length < BATCH_SIZE) {
+        complete = true;
+        break;
+      }
+    }
+
+    results.push({ siteId: site.site_id, retentionDays: days, cutoff, deleted, complete });
+  }
+
+  return results;
+};
@@ -0,0 +1,217 @@
+import { eq, getStorage } from './storage/index.js';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^[\d\s\-()+]+$/;
+const TRUE_VALUES = ['true', 'yes', 'on', '1'];
+const FALSE_VALUES = ['false', 'no', 'off', '0'];
+
+const isEmpty = (value) => {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0;
+  return false;
+};
+
+export const getSchemaFields = (schema) => {
+  const fields = schema?.fields;
+  if (!fields) return {};
+  if (typeof fields === 'string') {
+    try {
+      return JSON.parse(fields) || {};
+    } catch {
+      return {};
+    }
+  }
+  return fields;
+};
+
+// Compiled once per isolate. Like spam patterns, a schema pattern that does not compile is
+// logged and skipped, so an admin's typo does not block everyone who fills in the form.
+const compiledPatterns = new Map();
+
+const compilePattern = (source) => {
+  if (!compiledPatterns.has(source)) {
+    try {
+      compiledPatterns.set(source, new RegExp(source));
+    } catch {
+      console.error(`Ignoring invalid schema pattern: ${source}`);
+      compiledPatterns.set(source, null);
+    }
+  }
+  return compiledPatterns.get(source);
+};
+
+const checkString = (value, field) => {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return { error: 'Must be text.' };
+  }
+
+  const text = String(value).trim();
+
+  if (field.maxLength && text.length > field.maxLength) {
+    return { error: `Must be at most ${field.maxLength} characters.` };
+  }
+
+  if (field.minLength && text.length < field.minLength) {
+    return { error: `Must be at least ${field.minLength} characters.` };
+  }
+
+  if (field.type === 'email' && !EMAIL_REGEX.test(text)) {
+    return { error: 'Please enter a valid email address.' };
+  }
+
+  if (field.type === 'phone' && !PHONE_REGEX.test(text)) {
+    return { error: 'Please enter a valid phone number.' };
+  }
+
+  if (field.type === 'url') {
+    try {
+      const parsed = new URL(text);
+      if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('Invalid protocol');
+    } catch {
+      return { error: 'Please enter a valid URL.' };
+    }
+  }
+
+  if (Array.isArray(field.enum) && field.enum.length > 0 && !field.enum.includes(text)) {
+    return { error: `Must be one of: ${field.enum.join(', ')}.` };
+  }
+
+  const pattern = field.pattern ? compilePattern(field.pattern) : null;
+  if (pattern && !pattern.test(text)) {
+    return { error: field.patternMessage || 'Invalid format.' };
+  }
+
+  return { value: text };
+};
+
+const checkNumber = (value, field) => {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isFinite(number)) {
+    return { error: 'Must be a number.' };
+  }
+  if (field.type === 'integer' && !Number.isInteger(number)) {
+    return { error: 'Must be a whole number.' };
+  }
+  if (field.min !== undefined && number < field.min) {
+    return { error: `Must be at least ${field.min}.` };
+  }
+  if (field.max !== undefined && number > field.max) {
+    return { error: `Must be at most ${field.max}.` };
+  }
+  return { value: number };
+};
+
+const checkBoolean = (value) => {
+  if (typeof value === 'boolean') return { value };
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return { value: true };
+  if (FALSE_VALUES.includes(text)) return { value: false };
+  return { error: 'Must be yes or no.' };
+};
+
+const checkArray = (value, field) => {
+  const items = Array.isArray(value) ? value : [value];
+  if (field.maxItems && items.length > field.maxItems) {
+    return { error: `Select at most ${field.maxItems} options.` };
+  }
+
+  const cleaned = [];
+  for (const item of items) {
+    const result = checkString(item, { ...field, type: 'string' });
+    if (result.error) return result;
+    cleaned.push(result.value);
+  }
+  return { value: cleaned };
+};
+
+/**
+ * Whether a field applies given the other answers. `showIf` is `{ field, in: [...] }` or
+ * `{ field, notIn: [...] }`, or an array of those that must all hold. A field that depends
+ * on a hidden field sees that field as empty, so rules can chain.
+ */
+export const isFieldVisible = (fields, name, data, seen = new Set()) => {
+  const rules = fields[name]?.showIf;
+  if (!rules || seen.has(name)) return true;
+  seen.add(name);
+
+  return (Array.isArray(rules) ? rules : [rules]).every((rule) => {
+    const source = rule?.field;
+    const raw = source && isFieldVisible(fields, source, data, seen) ? data?.[source] : '';
+    const value = raw === undefined || raw === null ? '' : String(raw).trim();
+    if (Array.isArray(rule?.in)) return rule.in.map(String).includes(value);
+    if (Array.isArray(rule?.notIn)) return !rule.notIn.map(String).includes(value);
+    return true;
+  });
+};
+
+const checkField = (value, field) => {
+  switch (field.type) {
+    case 'number':
+    case 'integer':
+      return checkNumber(value, field);
+    case 'boolean':
+      return checkBoolean(value);
+    case 'array':
+      return checkArray(value, field);
+    default:
+      return checkString(value, field);
+  }
+};
+
+/**
+ * Validate a submission payload against a form schema.
+ * Returns the cleaned data (declared fields only, unless unknown fields are allowed)
+ * and a map of field name to error message. Fields hidden by their `showIf` rules are
+ * neither required nor kept.
+ */
+export const validateSubmission = (schema, data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { data: null, errors: { _form: 'Submission data must be an object.' } };
+  }
+
+  const fields = getSchemaFields(schema);
+  const unknownFields = schema?.unknown_fields || 'strip';
+  const cleaned = {};
+  const errors = {};
+
+  Object.entries(fields).forEach(([name, field]) => {
+    const value = data[name];
+
+    if (!isFieldVisible(fields, name, data)) return;
+
+    if (isEmpty(value)) {
+      if (field.required) {
+        errors[name] = 'This field is required.';
+      }
+      return;
+    }
+
+    const result = checkField(value, field);
+    if (result.error) {
+      errors[name] = result.error;
+      return;
+    }
+    cleaned[name] = result.value;
+  });
+
+  Object.keys(data).forEach((name) => {
+    if (Object.prototype.hasOwnProperty.call(fields, name)) return;
+    if (unknownFields === 'reject') {
+      errors[name] = 'Unknown field.';
+    } else if (unknownFields === 'allow') {
+      cleaned[name] = data[name];
+    }
+  });
+
+  return { data: cleaned, errors };
+};
+
+export const getFormSchema = async (env, siteId, formId) => {
+  if (!formId) return null;
+
+  return getStorage(env).first('forms_schemas', {
+    columns: 'site_id,form_id,fields,unknown_fields,notify_emails,attachments,display_name,email_subject',
+    where: [eq('site_id', siteId), eq('form_id', formId)],
+  });
+};
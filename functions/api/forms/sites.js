@@ -1,16 +1,87 @@
-import { errorResponse, jsonResponse, requireSession, supabaseFetchJson } from './utils.js';
+import { errorResponse, generateSiteKey, jsonResponse, parseOriginsInput } from './utils.js';
+import { forbiddenResponse, getAccessibleSiteIds, getSiteRole, isGlobalOwner, requireAdmin } from './access.js';
+import { recordAudit } from './audit.js';
+import { eq, getStorage, inList } from './storage/index.js';
+
+const SITE_ID_REGEX = /^[a-z0-9][a-z0-9_-]{1,62}$/;
 
 export async function onRequestGet({ request, env }) {
   try {
-    const session = await requireSession(request, env);
-    if (!session) {
-      return errorResponse(401, 'Unauthorized');
+    const { access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const siteIds = getAccessibleSiteIds(access);
+    if (siteIds !== null && siteIds.length === 0) {
+      return jsonResponse({ success: true, sites: [] });
     }
 
-    const sites = await supabaseFetchJson(env, '/rest/v1/forms_sites?select=site_id,site_name,allowed_origins&order=site_id.asc');
+    const rows = await getStorage(env).select('forms_sites', {
+      columns: 'site_id,site_name,allowed_origins,previous_key_expires_at,require_mfa,retention_days',
+      where: siteIds !== null && inList('site_id', siteIds),
+      order: ['site_id.asc'],
+    });
+
+    const sites = rows.map((site) => ({
+      ...site,
+      role: getSiteRole(access, site.site_id),
+    }));
 
-    return jsonResponse({ success: true, sites });
+    return jsonResponse({ success: true, sites, canCreate: isGlobalOwner(access) });
   } catch (error) {
     return errorResponse(500, error.message || 'Unable to load sites.');
   }
 }
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    if (!isGlobalOwner(access)) {
+      return forbiddenResponse();
+    }
+
+    const body = await request.json();
+    const siteId = String(body?.siteId || '').trim().toLowerCase();
+    const siteName = String(body?.siteName || '').trim().slice(0, 200);
+    const { origins, invalid } = parseOriginsInput(body?.allowedOrigins);
+
+    if (!SITE_ID_REGEX.test(siteId)) {
+      return errorResponse(400, 'Site ID must be 2-63 lowercase letters, numbers, dashes or underscores.');
+    }
+    if (invalid.length > 0) {
+      return errorResponse(400, `Invalid origin: ${invalid.join(', ')}. Use values like https://example.com.`);
+    }
+
+    const storage = getStorage(env);
+    const existing = await storage.first('forms_sites', { columns: 'site_id', where: eq('site_id', siteId) });
+    if (existing) {
+      return errorResponse(409, 'A site with that ID already exists.');
+    }
+
+    const siteKey = generateSiteKey();
+    const rows = await storage.insert(
+      'forms_sites',
+      {
+        site_id: siteId,
+        site_name: siteName || siteId,
+        site_key: siteKey,
+        allowed_origins: origins,
+      },
+      { returning: 'site_id,site_name,allowed_origins' }
+    );
+
+    await recordAudit(env, request, {
+      action: 'site.created',
+      email: session.email,
+      siteId,
+      targetType: 'site',
+      targetId: siteId,
+      details: { siteName: siteName || siteId, allowedOrigins: origins },
+    });
+
+    return jsonResponse({ success: true, site: rows[0], siteKey }, 201);
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to create site.');
+  }
+}
@@ -0,0 +1,133 @@
+import { errorResponse, jsonResponse, parseOriginsInput, revokeSessions } from '../utils.js';
+import { forbiddenResponse, getSiteRole, hasSiteRole, requireAdmin } from '../access.js';
+import { recordAudit } from '../audit.js';
+import { getMfaRecord, listSiteAdminsWithoutMfa } from '../mfa.js';
+import { parseRetentionDays } from '../retention.js';
+import { eq, getStorage } from '../storage/index.js';
+
+const SITE_FIELDS = 'site_id,site_name,allowed_origins,previous_key_expires_at,require_mfa,retention_days';
+
+export async function onRequestGet({ request, env, params }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    if (!hasSiteRole(access, params.id, 'viewer')) {
+      return errorResponse(404, 'Site not found.');
+    }
+
+    // Only owners may see the site key needed to embed forms.
+    const isOwner = hasSiteRole(access, params.id, 'owner');
+    const fields = isOwner ? `${SITE_FIELDS},site_key` : SITE_FIELDS;
+    const site = await getStorage(env).first('forms_sites', { columns: fields, where: eq('site_id', params.id) });
+
+    if (!site) {
+      return errorResponse(404, 'Site not found.');
+    }
+
+    if (isOwner) {
+      await recordAudit(env, request, {
+        action: 'site.key_viewed',
+        email: session.email,
+        siteId: params.id,
+        targetType: 'site',
+        targetId: params.id,
+      });
+    }
+
+    return jsonResponse({ success: true, site: { ...site, role: getSiteRole(access, params.id) } });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to load site.');
+  }
+}
+
+export async function onRequestPatch({ request, env, params }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    if (!hasSiteRole(access, params.id, 'viewer')) {
+      return errorResponse(404, 'Site not found.');
+    }
+    if (!hasSiteRole(access, params.id, 'owner')) {
+      return forbiddenResponse();
+    }
+
+    const body = await request.json();
+    const updates = {};
+
+    if (body?.siteName !== undefined) {
+      const siteName = String(body.siteName || '').trim().slice(0, 200);
+      if (!siteName) {
+        return errorResponse(400, 'Site name cannot be empty.');
+      }
+      updates.site_name = siteName;
+    }
+
+    if (body?.allowedOrigins !== undefined) {
+      const { origins, invalid } = parseOriginsInput(body.allowedOrigins);
+      if (invalid.length > 0) {
+        return errorResponse(400, `Invalid origin: ${invalid.join(', ')}. Use values like https://example.com.`);
+      }
+      updates.allowed_origins = origins;
+    }
+
+    if (body?.requireMfa !== undefined) {
+      if (typeof body.requireMfa !== 'boolean') {
+        return errorResponse(400, 'requireMfa must be true or false.');
+      }
+      updates.require_mfa = body.requireMfa;
+    }
+
+    if (body?.retentionDays !== undefined) {
+      try {
+        updates.retention_days = parseRetentionDays(body.retentionDays);
+      } catch (error) {
+        return errorResponse(400, error.message);
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return errorResponse(400, 'Nothing to update.');
+    }
+
+    const storage = getStorage(env);
+    const current = await storage.first('forms_sites', { columns: 'require_mfa', where: eq('site_id', params.id) });
+    if (!current) {
+      return errorResponse(404, 'Site not found.');
+    }
+
+    // The owner's own session would otherwise stay signed in without a second factor.
+    const enablingMfa = updates.require_mfa === true && !current.require_mfa;
+    if (enablingMfa && !(await getMfaRecord(env, session.email))?.enabled_at) {
+      return errorResponse(409, 'Set up two-factor authentication for your own account before requiring it.');
+    }
+
+    const rows = await storage.update('forms_sites', eq('site_id', params.id), updates, {
+      returning: SITE_FIELDS,
+    });
+
+    if (rows.length === 0) {
+      return errorResponse(404, 'Site not found.');
+    }
+
+    // Sessions from before the change were started with only an email code, so admins without
+    // two-factor are signed out and have to enrol at their next login.
+    const sessionsRevoked = enablingMfa
+      ? await revokeSessions(env, await listSiteAdminsWithoutMfa(env, params.id))
+      : 0;
+
+    await recordAudit(env, request, {
+      action: 'site.updated',
+      email: session.email,
+      siteId: params.id,
+      targetType: 'site',
+      targetId: params.id,
+      details: enablingMfa ? { changes: updates, sessionsRevoked } : { changes: updates },
+    });
+
+    return jsonResponse({ success: true, site: rows[0], sessionsRevoked });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to update site.');
+  }
+}
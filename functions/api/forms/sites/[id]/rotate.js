@@ -0,0 +1,70 @@
+import { errorResponse, generateSiteKey, jsonResponse } from '../../utils.js';
+import { forbiddenResponse, hasSiteRole, requireAdmin } from '../../access.js';
+import { recordAudit } from '../../audit.js';
+import { eq, getStorage } from '../../storage/index.js';
+
+const MAX_GRACE_HOURS = 720;
+
+export async function onRequestPost({ request, env, params }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    if (!hasSiteRole(access, params.id, 'viewer')) {
+      return errorResponse(404, 'Site not found.');
+    }
+    if (!hasSiteRole(access, params.id, 'owner')) {
+      return forbiddenResponse();
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const graceParam = body?.graceHours ?? env.FORMS_KEY_ROTATION_GRACE_HOURS ?? '24';
+    const graceHours = Number.parseInt(graceParam, 10);
+    if (!Number.isFinite(graceHours) || graceHours < 0 || graceHours > MAX_GRACE_HOURS) {
+      return errorResponse(400, `Grace period must be between 0 and ${MAX_GRACE_HOURS} hours.`);
+    }
+
+    const storage = getStorage(env);
+    const site = await storage.first('forms_sites', { columns: 'site_id,site_key', where: eq('site_id', params.id) });
+    if (!site) {
+      return errorResponse(404, 'Site not found.');
+    }
+
+    const siteKey = generateSiteKey();
+    const previousKeyExpiresAt = new Date(Date.now() + graceHours * 3600 * 1000).toISOString();
+
+    // The old key keeps working until the grace period ends, so live embeds can be updated first.
+    const updated = await storage.update(
+      'forms_sites',
+      [eq('site_id', params.id), eq('site_key', site.site_key)],
+      {
+        site_key: siteKey,
+        previous_site_key: graceHours > 0 ? site.site_key : null,
+        previous_key_expires_at: graceHours > 0 ? previousKeyExpiresAt : null,
+      },
+      { returning: 'site_id' }
+    );
+
+    // Another rotation changed the key since it was read; only that one's key was saved.
+    if (updated.length === 0) {
+      return errorResponse(409, 'The site key was rotated by another request. Reload to see the current key.');
+    }
+
+    await recordAudit(env, request, {
+      action: 'site.key_rotated',
+      email: session.email,
+      siteId: params.id,
+      targetType: 'site',
+      targetId: params.id,
+      details: { graceHours },
+    });
+
+    return jsonResponse({
+      success: true,
+      siteKey,
+      previousKeyExpiresAt: graceHours > 0 ? previousKeyExpiresAt : null,
+    });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to rotate site key.');
+  }
+}
@@ -0,0 +1,130 @@
+// Rule-based spam scoring. Sites override any of these via `forms_sites.spam_rules`.
+export const DEFAULT_SPAM_RULES = {
+  enabled: true,
+  honeypotFields: [],
+  minFillSeconds: 3,
+  keywords: ['viagra', 'cialis', 'casino', 'lottery', 'winner'],
+  patterns: ['\\[url=', '<a\\s+href', 'congratulations.*won'],
+  maxUrls: 1,
+  threshold: 5,
+  weights: { honeypot: 10, fillTime: 5, keyword: 5, pattern: 5, urls: 5 },
+};
+
+const URL_REGEX = /\bhttps?:\/\/|\bwww\./gi;
+
+const parseRules = (value) => {
+  if (!value) return {};
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value) || {};
+    } catch {
+      return {};
+    }
+  }
+  return value;
+};
+
+export const getSpamRules = (site) => {
+  const overrides = parseRules(site?.spam_rules);
+  return {
+    ...DEFAULT_SPAM_RULES,
+    ...overrides,
+    weights: { ...DEFAULT_SPAM_RULES.weights, ...(overrides.weights || {}) },
+  };
+};
+
+const compilePatterns = (patterns) =>
+  (Array.isArray(patterns) ? patterns : []).flatMap((source) => {
+    try {
+      return [{ source, regex: new RegExp(source, 'i') }];
+    } catch {
+      console.error(`Ignoring invalid spam pattern: ${source}`);
+      return [];
+    }
+  });
+
+const collectText = (value, path, target) => {
+  if (typeof value === 'string') {
+    target.push([path, value]);
+  } else if (Array.isArray(value)) {
+    value.forEach((entry) => collectText(entry, path, target));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, entry]) => collectText(entry, path ? `${path}.${key}` : key, target));
+  }
+  return target;
+};
+
+/**
+ * Remove the site's honeypot fields from submission data, returning the cleaned data
+ * and whether any of them was filled in.
+ */
+export const stripHoneypotFields = (data, rules) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return { data, filled: false };
+  const cleaned = { ...data };
+  let filled = false;
+  (rules.honeypotFields || []).forEach((field) => {
+    if (cleaned[field]) filled = true;
+    delete cleaned[field];
+  });
+  return { data: cleaned, filled };
+};
+
+/**
+ * Score a submission against the site's rules. Each matching rule adds its weight;
+ * a total at or above `threshold` quarantines the submission.
+ * Returns `{ data, score, reasons, quarantined }` with honeypot fields removed from `data`.
+ */
+export const evaluateSpam = (site, data, meta = {}) => {
+  const rules = getSpamRules(site);
+  const { data: cleaned, filled } = stripHoneypotFields(data, rules);
+
+  if (rules.enabled === false) {
+    return { data: cleaned, score: 0, reasons: [], quarantined: false };
+  }
+
+  const { weights } = rules;
+  const reasons = [];
+  let score = 0;
+  const flag = (reason, weight) => {
+    reasons.push(reason);
+    score += Number(weight) || 0;
+  };
+
+  if (filled || meta.honeypot) {
+    flag('honeypot', weights.honeypot);
+  }
+
+  const loadedAt = Number(meta.loadedAt);
+  if (rules.minFillSeconds > 0 && Number.isFinite(loadedAt) && loadedAt > 0) {
+    if (Date.now() - loadedAt < rules.minFillSeconds * 1000) {
+      flag('fill_time', weights.fillTime);
+    }
+  }
+
+  const texts = collectText(cleaned, '', []);
+  const keywords = (Array.isArray(rules.keywords) ? rules.keywords : []).map((keyword) => String(keyword).toLowerCase());
+  const patterns = compilePatterns(rules.patterns);
+
+  keywords.forEach((keyword) => {
+    if (keyword && texts.some(([, text]) => text.toLowerCase().includes(keyword))) {
+      flag(`keyword:${keyword}`, weights.keyword);
+    }
+  });
+
+  patterns.forEach(({ source, regex }) => {
+    if (texts.some(([, text]) => regex.test(text))) {
+      flag(`pattern:${source}`, weights.pattern);
+    }
+  });
+
+  // maxUrls applies per field, so a "website" field plus a link in a message stays clean.
+  const maxUrls = rules.maxUrls === null ? Number.NaN : Number(rules.maxUrls);
+  if (Number.isFinite(maxUrls)) {
+    const field = texts.find(([, text]) => (text.match(URL_REGEX) || []).length > maxUrls);
+    if (field) {
+      flag(`urls:${field[0]}`, weights.urls);
+    }
+  }
+
+  return { data: cleaned, score, reasons, quarantined: score >= Number(rules.threshold) };
+};
@@ -0,0 +1,17 @@
+export const SUBMISSION_STATUSES = ['new', 'reviewed', 'contacted', 'won', 'lost', 'archived'];
+
+// Allowed next statuses for each status. Archived leads can be restored to `new`.
+const STATUS_TRANSITIONS = {
+  new: ['reviewed', 'archived'],
+  reviewed: ['contacted', 'archived'],
+  contacted: ['won', 'lost', 'archived'],
+  won: ['archived'],
+  lost: ['contacted', 'archived'],
+  archived: ['new'],
+};
+
+export const isValidStatus = (status) => SUBMISSION_STATUSES.includes(status);
+
+export const getNextStatuses = (status) => STATUS_TRANSITIONS[status || 'new'] || [];
+
+export const canTransition = (from, to) => getNextStatuses(from).includes(to);
@@ -0,0 +1,113 @@
+import { parseDraftStep } from './drafts.js';
+import { getFormDefinition } from './definition.js';
+import { eq, getStorage, gt } from './storage/index.js';
+import { buildFunnelConditions } from './filters.js';
+
+const SESSION_ID_REGEX = /^[A-Za-z0-9-]{16,64}$/;
+// Supabase returns at most 1000 rows per request by default, so sessions are read in pages.
+const PAGE_SIZE = 1000;
+// Enough for a long date range on one form; sessions past this are left out and `truncated` is set.
+const MAX_FUNNEL_SESSIONS = 20000;
+
+/**
+ * Browser-generated id for one pass through a multi-step form, or null when malformed.
+ */
+export const parseSessionId = (value) => (typeof value === 'string' && SESSION_ID_REGEX.test(value) ? value : null);
+
+/**
+ * Record that a funnel session showed `step`. Sessions only move forward in the funnel:
+ * going back a step updates `last_step` but never lowers `max_step`.
+ */
+export const recordStepView = async (env, { sessionId, siteId, formId, step }) => {
+  const storage = getStorage(env);
+  const currentStep = parseDraftStep(step);
+  const now = new Date().toISOString();
+  const existing = await storage.first('forms_funnel_sessions', {
+    columns: 'id,max_step',
+    where: [eq('id', sessionId), eq('site_id', siteId), eq('form_id', formId)],
+  });
+
+  if (existing) {
+    await storage.update('forms_funnel_sessions', eq('id', existing.id), {
+      max_step: Math.max(Number(existing.max_step) || 1, currentStep),
+      last_step: currentStep,
+      updated_at: now,
+    });
+    return;
+  }
+
+  await storage.upsert(
+    'forms_funnel_sessions',
+    { id: sessionId, site_id: siteId, form_id: formId, max_step: currentStep, last_step: currentStep, updated_at: now },
+    { onConflict: 'id' }
+  );
+};
+
+export const markSessionSubmitted = async (env, { sessionId, siteId, formId }) => {
+  await getStorage(env).update(
+    'forms_funnel_sessions',
+    [eq('id', sessionId), eq('site_id', siteId), eq('form_id', formId), eq('submitted_at', null)],
+    { submitted_at: new Date().toISOString() }
+  );
+};
+
+// Keyset pages on the session id, which every backend can order and compare.
+const fetchFunnelSessions = async (env, filters) => {
+  const storage = getStorage(env);
+  const conditions = buildFunnelConditions(filters, 'started_at');
+  const rows = [];
+  let truncated = false;
+  let lastId = null;
+
+  for (;;) {
+    const limit = Math.min(PAGE_SIZE, MAX_FUNNEL_SESSIONS - rows.length);
+    const page = await storage.select('forms_funnel_sessions', {
+      columns: 'id,max_step,submitted_at',
+      where: [...conditions, lastId !== null && gt('id', lastId)],
+      order: ['id.asc'],
+      limit: limit + 1,
+    });
+
+    rows.push(...page.slice(0, limit));
+    if (page.length <= limit) break;
+    if (rows.length >= MAX_FUNNEL_SESSIONS) {
+      truncated = true;
+      break;
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+
+  return { rows, truncated };
+};
+
+/**
+ * Count how many sessions reached each step, and how many of those left before the next
+ * one. A session that reached step 4 also passed steps 1–3, so it counts towards each.
+ * Forms with a bundled definition get one entry per step it defines; otherwise the
+ * furthest step any session reported sets the length.
+ */
+export const summarizeFunnel = async (env, filters) => {
+  const { rows, truncated } = await fetchFunnelSessions(env, filters);
+
+  const definition = filters.formId ? getFormDefinition(filters.formId) : null;
+  const totalSteps = definition
+    ? definition.steps.length
+    : rows.reduce((max, row) => Math.max(max, Number(row.max_step) || 1), 0);
+  const submitted = rows.filter((row) => row.submitted_at).length;
+  const reached = Array.from(
+    { length: totalSteps },
+    (_, index) => rows.filter((row) => row.submitted_at || Number(row.max_step) >= index + 1).length
+  );
+
+  const steps = reached.map((count, index) => {
+    const next = index + 1 < totalSteps ? reached[index + 1] : submitted;
+    return {
+      step: index + 1,
+      reached: count,
+      droppedOff: count - next,
+      dropOffRate: count > 0 ? Math.round(((count - next) / count) * 1000) / 10 : 0,
+    };
+  });
+
+  return { sessions: rows.length, submitted, steps, truncated };
+};
@@ -0,0 +1,198 @@
+import { parseColumn, parseColumnList, parseOrder, requireConditions, toConditions } from './query.js';
+
+// SQLite has no jsonb, arrays or booleans: JSON values are stored as text and booleans as 0/1.
+const COLUMN_TYPES = {
+  forms_sites: {
+    json: ['allowed_origins', 'notify_emails', 'spam_rules'],
+    boolean: ['reject_unknown_forms', 'challenge_required', 'require_mfa'],
+  },
+  forms_schemas: { json: ['fields', 'notify_emails', 'attachments'], boolean: [] },
+  forms_submissions: { json: ['data', 'attachments', 'spam_reasons'], boolean: ['quarantined'] },
+  forms_webhooks: { json: [], boolean: ['active'] },
+  forms_webhook_deliveries: { json: ['payload'], boolean: [] },
+  forms_sessions: { json: [], boolean: ['mfa'] },
+  forms_login_attempts: { json: [], boolean: ['success'] },
+  forms_audit_log: { json: ['details'], boolean: [] },
+  forms_drafts: { json: ['data'], boolean: [] },
+};
+
+const SQL_OPERATORS = { eq: '=', neq: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+const quoteIdentifier = (name) => `"${name}"`;
+
+const columnExpression = (column) => {
+  const { name, key } = parseColumn(column);
+  return key ? `json_extract(${quoteIdentifier(name)}, '$.${key}')` : quoteIdentifier(name);
+};
+
+const toParam = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+const buildCondition = (condition, params) => {
+  const { op, column, value } = condition;
+
+  if (op === 'and' || op === 'or') {
+    if (condition.conditions.length === 0) return op === 'and' ? '1' : '0';
+    return `(${condition.conditions.map((nested) => buildCondition(nested, params)).join(` ${op.toUpperCase()} `)})`;
+  }
+
+  const expression = columnExpression(column);
+  if (op === 'in') {
+    if (value.length === 0) return '0';
+    params.push(...value.map(toParam));
+    return `${expression} IN (${value.map(() => '?').join(', ')})`;
+  }
+  if (op === 'ilike') {
+    params.push(String(value).replace(/\*/g, '%'));
+    return `lower(${expression}) LIKE lower(?)`;
+  }
+  if (value === null && (op === 'eq' || op === 'neq')) {
+    return `${expression} IS ${op === 'eq' ? '' : 'NOT '}NULL`;
+  }
+  if (!SQL_OPERATORS[op]) {
+    throw new Error(`Unsupported operator: ${op}`);
+  }
+  params.push(toParam(value));
+  return `${expression} ${SQL_OPERATORS[op]} ?`;
+};
+
+const buildWhere = (where, params) => {
+  const conditions = toConditions(where);
+  if (conditions.length === 0) return '';
+  return ` WHERE ${conditions.map((condition) => buildCondition(condition, params)).join(' AND ')}`;
+};
+
+const buildSelectList = (columns) => {
+  const list = parseColumnList(columns);
+  return list ? list.map((column) => quoteIdentifier(parseColumn(column).name)).join(', ') : '*';
+};
+
+const buildReturning = (returning) => (returning ? ` RETURNING ${buildSelectList(returning === true ? '*' : returning)}` : '');
+
+// Turn a stored row back into the shape the Supabase backend returns.
+const parseRow = (table, row) => {
+  const types = COLUMN_TYPES[table];
+  if (!types) return row;
+  const parsed = { ...row };
+  types.json.forEach((column) => {
+    if (typeof parsed[column] === 'string') {
+      try {
+        parsed[column] = JSON.parse(parsed[column]);
+      } catch {
+        // Leave values that were not written as JSON untouched.
+      }
+    }
+  });
+  types.boolean.forEach((column) => {
+    if (parsed[column] !== undefined && parsed[column] !== null) {
+      parsed[column] = Boolean(parsed[column]);
+    }
+  });
+  return parsed;
+};
+
+const getDatabase = (env) => {
+  if (!env.FORMS_DB) {
+    throw new Error('D1 storage is not configured (missing FORMS_DB binding).');
+  }
+  return env.FORMS_DB;
+};
+
+/**
+ * Storage backed by a Cloudflare D1 (SQLite) database bound as `FORMS_DB`.
+ * The schema lives in `scripts/d1/`.
+ */
+export const createD1Storage = (env) => {
+  const run = async (table, sql, params, returning) => {
+    const statement = getDatabase(env).prepare(sql).bind(...params);
+    if (!returning) {
+      await statement.run();
+      return null;
+    }
+    const { results } = await statement.all();
+    return (results || []).map((row) => parseRow(table, row));
+  };
+
+  // One statement per row, so rows may set different columns and fall back to defaults.
+  const insertRows = async (table, values, { returning, onConflict = null }) => {
+    const rows = Array.isArray(values) ? values : [values];
+    const inserted = [];
+
+    for (const row of rows) {
+      const columns = Object.keys(row).filter((column) => row[column] !== undefined);
+      columns.forEach((column) => parseColumn(column));
+      const params = columns.map((column) => toParam(row[column]));
+      let sql = `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES (${columns
+        .map(() => '?')
+        .join(', ')})`;
+
+      if (onConflict) {
+        const keys = onConflict.split(',').map((column) => column.trim());
+        const updates = columns.filter((column) => !keys.includes(column));
+        sql += ` ON CONFLICT (${keys.map(quoteIdentifier).join(', ')}) ${
+          updates.length > 0
+            ? `DO UPDATE SET ${updates.map((column) => `${quoteIdentifier(column)} = excluded.${quoteIdentifier(column)}`).join(', ')}`
+            : 'DO NOTHING'
+        }`;
+      }
+
+      const result = await run(table, `${sql}${buildReturning(returning)}`, params, returning);
+      if (result) inserted.push(...result);
+    }
+
+    return returning ? inserted : null;
+  };
+
+  return {
+    name: 'd1',
+
+    select: async (table, { columns = '*', where, order, limit } = {}) => {
+      const params = [];
+      let sql = `SELECT ${buildSelectList(columns)} FROM ${quoteIdentifier(table)}${buildWhere(where, params)}`;
+
+      const ordering = parseOrder(order);
+      if (ordering.length > 0) {
+        sql += ` ORDER BY ${ordering
+          .map(({ column, descending, nullsLast }) => {
+            const expression = columnExpression(column);
+            // Match Postgres, which sorts NULLs as larger than any value unless told otherwise.
+            const nulls = `${expression} IS NULL${descending && !nullsLast ? ' DESC' : ''}`;
+            return `${nulls}, ${expression} ${descending ? 'DESC' : 'ASC'}`;
+          })
+          .join(', ')}`;
+      }
+      if (limit) {
+        sql += ' LIMIT ?';
+        params.push(Number(limit));
+      }
+
+      return run(table, sql, params, true);
+    },
+
+    insert: (table, values, { returning = false } = {}) => insertRows(table, values, { returning }),
+
+    upsert: (table, values, { onConflict, returning = false } = {}) => insertRows(table, values, { returning, onConflict }),
+
+    update: (table, where, values, { returning = false } = {}) => {
+      requireConditions('update', table, where);
+      const columns = Object.keys(values).filter((column) => values[column] !== undefined);
+      columns.forEach((column) => parseColumn(column));
+      const params = columns.map((column) => toParam(values[column]));
+      const sql = `UPDATE ${quoteIdentifier(table)} SET ${columns
+        .map((column) => `${quoteIdentifier(column)} = ?`)
+        .join(', ')}${buildWhere(where, params)}${buildReturning(returning)}`;
+      return run(table, sql, params, returning);
+    },
+
+    remove: (table, where, { returning = false } = {}) => {
+      requireConditions('delete', table, where);
+      const params = [];
+      const sql = `DELETE FROM ${quoteIdentifier(table)}${buildWhere(where, params)}${buildReturning(returning)}`;
+      return run(table, sql, params, returning);
+    },
+  };
+};
@@ -0,0 +1,41 @@
+import { createSupabaseStorage } from './supabase.js';
+import { createD1Storage } from './d1.js';
+import { createMemoryStorage } from './memory.js';
+
+export * from './query.js';
+
+/**
+ * Storage backends share one interface over the `forms_*` tables:
+ *
+ *   select(table, { columns, where, order, limit })  -> rows
+ *   insert(table, rows, { returning })               -> rows | null
+ *   upsert(table, rows, { onConflict, returning })   -> rows | null
+ *   update(table, where, values, { returning })      -> rows | null
+ *   remove(table, where, { returning })              -> rows | null
+ *
+ * `where` is a condition or list of conditions from `./query.js`; `returning` is `true`
+ * or a column list. Pick one with `FORMS_STORAGE` (default `supabase`); `d1` uses the
+ * `FORMS_DB` binding and `memory` keeps everything in the running process for local development.
+ */
+export const STORAGE_BACKENDS = {
+  supabase: createSupabaseStorage,
+  d1: createD1Storage,
+  memory: createMemoryStorage,
+};
+
+export const getStorageBackend = (env) => {
+  const backend = (env.FORMS_STORAGE || 'supabase').trim().toLowerCase();
+  if (!STORAGE_BACKENDS[backend]) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+  return backend;
+};
+
+export const getStorage = (env) => {
+  const storage = STORAGE_BACKENDS[getStorageBackend(env)](env);
+  return {
+    ...storage,
+    // The first matching row, or null.
+    first: async (table, options = {}) => (await storage.select(table, { ...options, limit: 1 }))[0] || null,
+  };
+};
@@ -0,0 +1,227 @@
+import { parseColumn, parseColumnList, parseOrder, requireConditions, toConditions } from './query.js';
+
+// Sites available as soon as the process starts, so the VIP form works without setup.
+export const MEMORY_SEED_SITES = [{ site_id: 'topfundmanager', site_name: 'Top Fund Manager', site_key: 'tfm_local_key' }];
+
+const now = () => new Date().toISOString();
+
+// Primary keys, and the column defaults the SQL schemas would fill in.
+const TABLES = {
+  forms_sites: {
+    key: ['site_id'],
+    defaults: () => ({
+      allowed_origins: [],
+      reject_unknown_forms: false,
+      notify_emails: [],
+      spam_rules: {},
+      challenge_required: false,
+      require_mfa: false,
+      created_at: now(),
+    }),
+  },
+  forms_schemas: { key: ['site_id', 'form_id'], defaults: () => ({ fields: {}, notify_emails: [] }) },
+  forms_submissions: {
+    key: ['id'],
+    defaults: () => ({
+      submitted_at: now(),
+      data: {},
+      attachments: [],
+      status: 'new',
+      quarantined: false,
+      spam_score: 0,
+      spam_reasons: [],
+    }),
+  },
+  forms_submission_events: { key: ['id'], serial: true, defaults: () => ({ changed_at: now() }) },
+  forms_auth_codes: { key: ['id'], defaults: () => ({ attempts: 0, created_at: now() }) },
+  forms_sessions: { key: ['id'], defaults: () => ({ id: crypto.randomUUID(), mfa: false, created_at: now() }) },
+  forms_login_attempts: { key: ['id'], serial: true, defaults: () => ({ created_at: now() }) },
+  forms_admins: { key: ['email', 'site_id'], defaults: () => ({ created_at: now() }) },
+  forms_webhooks: {
+    key: ['id'],
+    defaults: () => ({ id: crypto.randomUUID(), secret: crypto.randomUUID().replace(/-/g, ''), active: true, created_at: now() }),
+  },
+  forms_webhook_deliveries: { key: ['id'], defaults: () => ({ status: 'pending', attempts: 0, created_at: now() }) },
+  forms_audit_log: { key: ['id'], serial: true, defaults: () => ({ created_at: now() }) },
+  forms_admin_mfa: { key: ['email'], defaults: () => ({ created_at: now() }) },
+  forms_mfa_recovery_codes: { key: ['id'], serial: true, defaults: () => ({ created_at: now() }) },
+  forms_drafts: {
+    key: ['id'],
+    defaults: () => ({ id: crypto.randomUUID(), data: {}, current_step: 1, created_at: now(), updated_at: now() }),
+  },
+  forms_funnel_sessions: {
+    key: ['id'],
+    defaults: () => ({ max_step: 1, last_step: 1, started_at: now(), updated_at: now() }),
+  },
+};
+
+// Shared by every request the process serves; gone when it restarts.
+const state = { tables: new Map(), serials: new Map() };
+
+const getTable = (name) => {
+  if (!TABLES[name]) {
+    throw new Error(`Unknown table: ${name}`);
+  }
+  if (!state.tables.has(name)) {
+    state.tables.set(name, name === 'forms_sites' ? MEMORY_SEED_SITES.map((site) => withDefaults(name, site)) : []);
+  }
+  return state.tables.get(name);
+};
+
+// Copy values the caller passed, leaving out undefined ones as the SQL backends do.
+const copyValues = (values) =>
+  structuredClone(Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined)));
+
+const withDefaults = (table, values) => {
+  const row = { ...TABLES[table].defaults(), ...copyValues(values) };
+  if (TABLES[table].serial && row.id === undefined) {
+    const next = (state.serials.get(table) || 0) + 1;
+    state.serials.set(table, next);
+    row.id = next;
+  }
+  return row;
+};
+
+// `->>` reads a JSON key as text, as Postgres does.
+const readColumn = (row, column) => {
+  const { name, key } = parseColumn(column);
+  const value = row[name];
+  if (!key) return value ?? null;
+  const nested = value?.[key];
+  if (nested === undefined || nested === null) return null;
+  return typeof nested === 'object' ? JSON.stringify(nested) : String(nested);
+};
+
+const compare = (left, right) => {
+  const numeric = typeof left === 'number' && right !== '' && !Number.isNaN(Number(right));
+  const a = numeric ? left : String(left);
+  const b = numeric ? Number(right) : String(right);
+  if (a < b) return -1;
+  return a > b ? 1 : 0;
+};
+
+const likeToRegExp = (pattern) =>
+  new RegExp(`^${String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'is');
+
+// SQL semantics: comparing with a NULL column is never true, except IS [NOT] NULL.
+const matches = (row, condition) => {
+  const { op, column, value } = condition;
+  if (op === 'and') return condition.conditions.every((nested) => matches(row, nested));
+  if (op === 'or') return condition.conditions.some((nested) => matches(row, nested));
+
+  const actual = readColumn(row, column);
+  if (value === null && (op === 'eq' || op === 'neq')) {
+    return op === 'eq' ? actual === null : actual !== null;
+  }
+  if (actual === null) return false;
+
+  switch (op) {
+    case 'eq':
+      return compare(actual, value) === 0;
+    case 'neq':
+      return compare(actual, value) !== 0;
+    case 'gt':
+      return compare(actual, value) > 0;
+    case 'gte':
+      return compare(actual, value) >= 0;
+    case 'lt':
+      return compare(actual, value) < 0;
+    case 'lte':
+      return compare(actual, value) <= 0;
+    case 'ilike':
+      return likeToRegExp(value).test(String(actual));
+    case 'in':
+      return value.some((candidate) => compare(actual, candidate) === 0);
+    default:
+      throw new Error(`Unsupported operator: ${op}`);
+  }
+};
+
+const filterRows = (table, where) => {
+  const conditions = toConditions(where);
+  return getTable(table).filter((row) => conditions.every((condition) => matches(row, condition)));
+};
+
+const project = (row, columns) => {
+  const list = parseColumnList(columns === true ? '*' : columns);
+  if (!list) return structuredClone(row);
+  return Object.fromEntries(list.map((column) => [column, structuredClone(row[column] ?? null)]));
+};
+
+// NULLs sort after every value, as in Postgres, unless a descending order puts them first.
+const sortRows = (rows, order) => {
+  const ordering = parseOrder(order);
+  return [...rows].sort((left, right) => {
+    for (const { column, descending, nullsLast } of ordering) {
+      const a = readColumn(left, column);
+      const b = readColumn(right, column);
+      if (a === null || b === null) {
+        if (a === b) continue;
+        const nullFirst = descending && !nullsLast;
+        return (a === null) === nullFirst ? -1 : 1;
+      }
+      const result = compare(a, b);
+      if (result !== 0) return descending ? -result : result;
+    }
+    return 0;
+  });
+};
+
+const findByKey = (table, row, key = TABLES[table].key) => {
+  if (key.some((column) => row[column] === undefined || row[column] === null)) return null;
+  return getTable(table).find((existing) => key.every((column) => compare(existing[column], row[column]) === 0));
+};
+
+const returnRows = (rows, returning) => (returning ? rows.map((row) => project(row, returning)) : null);
+
+/**
+ * Storage kept in process memory, for local development and tests. Nothing survives a
+ * restart; `MEMORY_SEED_SITES` are recreated each time.
+ */
+export const createMemoryStorage = () => ({
+  name: 'memory',
+
+  select: async (table, { columns = '*', where, order, limit } = {}) => {
+    const rows = sortRows(filterRows(table, where), order);
+    return (limit ? rows.slice(0, Number(limit)) : rows).map((row) => project(row, columns));
+  },
+
+  insert: async (table, values, { returning = false } = {}) => {
+    const rows = (Array.isArray(values) ? values : [values]).map((value) => withDefaults(table, value));
+    rows.forEach((row) => {
+      if (findByKey(table, row)) {
+        throw new Error(`Duplicate key in ${table}`);
+      }
+      getTable(table).push(row);
+    });
+    return returnRows(rows, returning);
+  },
+
+  upsert: async (table, values, { onConflict, returning = false } = {}) => {
+    const keys = onConflict ? onConflict.split(',').map((column) => column.trim()) : undefined;
+    const rows = (Array.isArray(values) ? values : [values]).map((value) => {
+      const existing = findByKey(table, value, keys);
+      if (existing) {
+        return Object.assign(existing, copyValues(value));
+      }
+      const row = withDefaults(table, value);
+      getTable(table).push(row);
+      return row;
+    });
+    return returnRows(rows, returning);
+  },
+
+  update: async (table, where, values, { returning = false } = {}) => {
+    requireConditions('update', table, where);
+    const rows = filterRows(table, where);
+    rows.forEach((row) => Object.assign(row, copyValues(values)));
+    return returnRows(rows, returning);
+  },
+
+  remove: async (table, where, { returning = false } = {}) => {
+    requireConditions('delete', table, where);
+    const rows = filterRows(table, where);
+    state.tables.set(table, getTable(table).filter((row) => !rows.includes(row)));
+    return returnRows(rows, returning);
+  },
+});
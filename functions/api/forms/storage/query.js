@@ -0,0 +1,60 @@
+/**
+ * Filter conditions understood by every storage backend. A column may address a key
+ * inside a JSON column as `column->>key`; `ilike` patterns use `*` as the wildcard.
+ * Comparing with `null` means IS NULL (`eq`) or IS NOT NULL (`neq`).
+ */
+const comparison = (op) => (column, value) => ({ op, column, value });
+
+export const eq = comparison('eq');
+export const neq = comparison('neq');
+export const gt = comparison('gt');
+export const gte = comparison('gte');
+export const lt = comparison('lt');
+export const lte = comparison('lte');
+export const ilike = comparison('ilike');
+export const inList = (column, values) => ({ op: 'in', column, value: values });
+export const and = (...conditions) => ({ op: 'and', conditions: conditions.flat().filter(Boolean) });
+export const or = (...conditions) => ({ op: 'or', conditions: conditions.flat().filter(Boolean) });
+
+const COLUMN_REGEX = /^[a-z_][a-z0-9_]*$/;
+const JSON_KEY_REGEX = /^[A-Za-z0-9_]+$/;
+
+/**
+ * `where` may be a single condition or a list that must all hold.
+ */
+export const toConditions = (where) => {
+  if (!where) return [];
+  return (Array.isArray(where) ? where.flat() : [where]).filter(Boolean);
+};
+
+export const parseColumn = (column) => {
+  const [name, key, ...rest] = String(column).split('->>');
+  if (!COLUMN_REGEX.test(name) || rest.length > 0 || (key !== undefined && !JSON_KEY_REGEX.test(key))) {
+    throw new Error(`Invalid column: ${column}`);
+  }
+  return { name, key: key ?? null };
+};
+
+export const parseColumnList = (columns) => {
+  if (!columns || columns === '*') return null;
+  const list = Array.isArray(columns) ? columns : String(columns).split(',');
+  return list.map((column) => column.trim()).filter(Boolean);
+};
+
+/**
+ * Order entries are `column[.asc|.desc][.nullslast]`, e.g. `submitted_at.desc`.
+ */
+export const parseOrder = (order) =>
+  (order || []).map((entry) => {
+    const [column, direction = 'asc', nulls = null] = String(entry).split('.');
+    parseColumn(column);
+    return { column, descending: direction === 'desc', nullsLast: nulls === 'nullslast' };
+  });
+
+export const requireConditions = (operation, table, where) => {
+  const conditions = toConditions(where);
+  if (conditions.length === 0) {
+    throw new Error(`Refusing to ${operation} every row of ${table}`);
+  }
+  return conditions;
+};
@@ -0,0 +1,106 @@
+import { supabaseFetchJson } from '../utils.js';
+import { parseColumn, parseColumnList, parseOrder, requireConditions, toConditions } from './query.js';
+
+// Values inside PostgREST logic trees are quoted so commas, dots and parentheses survive.
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+const formatColumn = (column) => {
+  const { name, key } = parseColumn(column);
+  return key ? `${name}->>${key}` : name;
+};
+
+// The operator-and-value half of a filter, e.g. `eq.abc` or `not.is.null`.
+const formatOperation = ({ op, value }, formatValue) => {
+  if (op === 'in') {
+    return `in.(${value.map(quote).join(',')})`;
+  }
+  if (value === null || typeof value === 'boolean') {
+    const literal = value === null ? 'null' : String(value);
+    if (op === 'eq') return `is.${literal}`;
+    if (op === 'neq') return `not.is.${literal}`;
+  }
+  return `${op}.${formatValue(value)}`;
+};
+
+const formatNested = (condition) => {
+  if (condition.op === 'and' || condition.op === 'or') {
+    return `${condition.op}(${condition.conditions.map(formatNested).join(',')})`;
+  }
+  return `${formatColumn(condition.column)}.${formatOperation(condition, quote)}`;
+};
+
+const buildFilterParams = (where) => {
+  const params = [];
+  const logic = [];
+
+  toConditions(where).forEach((condition) => {
+    if (condition.op === 'and' || condition.op === 'or') {
+      logic.push(formatNested(condition));
+    } else if (condition.op === 'in') {
+      params.push(`${formatColumn(condition.column)}=${encodeURIComponent(formatOperation(condition, quote))}`);
+    } else {
+      params.push(`${formatColumn(condition.column)}=${formatOperation(condition, encodeURIComponent)}`);
+    }
+  });
+
+  if (logic.length > 0) {
+    params.push(`and=${encodeURIComponent(`(${logic.join(',')})`)}`);
+  }
+  return params;
+};
+
+const buildPath = (table, params) => `/rest/v1/${table}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+
+const selectParam = (columns) => {
+  const list = parseColumnList(columns);
+  return `select=${list ? list.join(',') : '*'}`;
+};
+
+const returningHeaders = (returning, extra = []) => ({
+  Prefer: [...extra, returning ? 'return=representation' : 'return=minimal'].join(','),
+});
+
+const write = async (env, method, table, params, body, returning, extraPrefer = []) => {
+  const rows = await supabaseFetchJson(env, buildPath(table, returning ? [...params, selectParam(returning === true ? '*' : returning)] : params), {
+    method,
+    headers: returningHeaders(returning, extraPrefer),
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return returning ? rows || [] : null;
+};
+
+/**
+ * Storage backed by Supabase through PostgREST (`SUPABASE_URL`, `SUPABASE_SERVICE_ROLE_KEY`).
+ */
+export const createSupabaseStorage = (env) => ({
+  name: 'supabase',
+
+  select: async (table, { columns = '*', where, order, limit } = {}) => {
+    const params = [selectParam(columns), ...buildFilterParams(where)];
+    const ordering = parseOrder(order);
+    if (ordering.length > 0) {
+      params.push(
+        `order=${ordering
+          .map(({ column, descending, nullsLast }) => `${formatColumn(column)}.${descending ? 'desc' : 'asc'}${nullsLast ? '.nullslast' : ''}`)
+          .join(',')}`
+      );
+    }
+    if (limit) params.push(`limit=${Number(limit)}`);
+    return (await supabaseFetchJson(env, buildPath(table, params))) || [];
+  },
+
+  insert: (table, values, { returning = false } = {}) => write(env, 'POST', table, [], values, returning),
+
+  upsert: (table, values, { onConflict, returning = false } = {}) =>
+    write(env, 'POST', table, [`on_conflict=${onConflict}`], values, returning, ['resolution=merge-duplicates']),
+
+  update: (table, where, values, { returning = false } = {}) => {
+    requireConditions('update', table, where);
+    return write(env, 'PATCH', table, buildFilterParams(where), values, returning);
+  },
+
+  remove: (table, where, { returning = false } = {}) => {
+    requireConditions('delete', table, where);
+    return write(env, 'DELETE', table, buildFilterParams(where), undefined, returning);
+  },
+});
@@ -1,26 +1,61 @@
-import { errorResponse, jsonResponse, requireSession, supabaseFetchJson } from './utils.js';
+import { errorResponse, jsonResponse } from './utils.js';
+import { forbiddenResponse, requireAdmin, scopeFiltersToAccess } from './access.js';
+import { buildSubmissionConditions, decodeCursor, encodeCursor, parseSubmissionFilters } from './filters.js';
+import { getNextStatuses } from './status.js';
+import { describeFilters, recordAudit } from './audit.js';
+import { getStorage } from './storage/index.js';
+
+const SUBMISSION_FIELDS =
+  'id,site_id,form_id,submitted_at,origin,ip,page_url,referrer,data,attachments,status,status_changed_at,status_changed_by,quarantined,spam_score,spam_reasons';
 
 export async function onRequestGet({ request, env }) {
   try {
-    const session = await requireSession(request, env);
-    if (!session) {
-      return errorResponse(401, 'Unauthorized');
-    }
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
 
     const url = new URL(request.url);
     const limitParam = url.searchParams.get('limit') || '50';
-    const siteId = url.searchParams.get('siteId');
     const limit = Math.min(Math.max(Number.parseInt(limitParam, 10) || 50, 1), 200);
 
-    let query = `/rest/v1/forms_submissions?select=id,site_id,form_id,submitted_at,origin,ip,page_url,referrer,data&order=submitted_at.desc&limit=${limit}`;
+    let filters;
+    try {
+      filters = scopeFiltersToAccess(parseSubmissionFilters(url.searchParams), access);
+    } catch (error) {
+      return errorResponse(400, error.message);
+    }
+
+    if (!filters) {
+      return forbiddenResponse();
+    }
+
+    if (filters.siteIds && filters.siteIds.length === 0) {
+      return jsonResponse({ success: true, submissions: [], nextCursor: null });
+    }
 
-    if (siteId) {
-      query += `&site_id=eq.${encodeURIComponent(siteId)}`;
+    const cursorParam = url.searchParams.get('cursor');
+    const cursor = decodeCursor(cursorParam);
+    if (cursorParam && !cursor) {
+      return errorResponse(400, 'Invalid cursor.');
     }
 
-    const submissions = await supabaseFetchJson(env, query);
+    const rows = await getStorage(env).select('forms_submissions', {
+      columns: SUBMISSION_FIELDS,
+      where: buildSubmissionConditions(filters, cursor),
+      order: ['submitted_at.desc', 'id.desc'],
+      limit: limit + 1,
+    });
+    const submissions = rows.slice(0, limit).map((row) => ({ ...row, next_statuses: getNextStatuses(row.status) }));
+    const nextCursor = rows.length > limit ? encodeCursor(submissions[submissions.length - 1]) : null;
+
+    await recordAudit(env, request, {
+      action: 'submissions.list',
+      email: session.email,
+      siteId: filters.siteId || null,
+      targetType: 'submissions',
+      details: { filters: describeFilters(filters), cursor: cursorParam || null, count: submissions.length },
+    });
 
-    return jsonResponse({ success: true, submissions });
+    return jsonResponse({ success: true, submissions, nextCursor });
   } catch (error) {
     return errorResponse(500, error.message || 'Unable to load submissions.');
   }
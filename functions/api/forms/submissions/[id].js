@@ -0,0 +1,120 @@
+import { errorResponse, jsonResponse } from '../utils.js';
+import { forbiddenResponse, hasSiteRole, requireAdmin } from '../access.js';
+import { canTransition, getNextStatuses, isValidStatus } from '../status.js';
+import { recordAudit } from '../audit.js';
+import { eq, getStorage } from '../storage/index.js';
+
+const SUBMISSION_FIELDS =
+  'id,site_id,form_id,submitted_at,origin,ip,user_agent,page_url,referrer,data,attachments,status,status_changed_at,status_changed_by,quarantined,spam_score,spam_reasons,released_at,released_by';
+
+const loadSubmission = (env, id) =>
+  getStorage(env).first('forms_submissions', { columns: SUBMISSION_FIELDS, where: eq('id', id) });
+
+const loadStatusHistory = (env, id) =>
+  getStorage(env).select('forms_submission_events', {
+    columns: 'from_status,to_status,changed_by,changed_at,note',
+    where: eq('submission_id', id),
+    order: ['changed_at.desc'],
+  });
+
+export async function onRequestGet({ request, env, params }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const submission = await loadSubmission(env, params.id);
+    if (!submission || !hasSiteRole(access, submission.site_id, 'viewer')) {
+      return errorResponse(404, 'Submission not found.');
+    }
+
+    const history = await loadStatusHistory(env, params.id);
+
+    await recordAudit(env, request, {
+      action: 'submission.view',
+      email: session.email,
+      siteId: submission.site_id,
+      targetType: 'submission',
+      targetId: submission.id,
+    });
+
+    return jsonResponse({
+      success: true,
+      submission,
+      history,
+      nextStatuses: getNextStatuses(submission.status),
+    });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to load submission.');
+  }
+}
+
+export async function onRequestPatch({ request, env, params }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const body = await request.json();
+    const status = String(body?.status || '').trim();
+    const note = body?.note ? String(body.note).trim().slice(0, 1000) : null;
+
+    if (!isValidStatus(status)) {
+      return errorResponse(400, 'Invalid status.');
+    }
+
+    const submission = await loadSubmission(env, params.id);
+    if (!submission || !hasSiteRole(access, submission.site_id, 'viewer')) {
+      return errorResponse(404, 'Submission not found.');
+    }
+
+    if (!hasSiteRole(access, submission.site_id, 'editor')) {
+      return forbiddenResponse();
+    }
+
+    const currentStatus = submission.status || 'new';
+    if (!canTransition(currentStatus, status)) {
+      return errorResponse(409, `Cannot change status from ${currentStatus} to ${status}.`);
+    }
+
+    const now = new Date().toISOString();
+
+    const storage = getStorage(env);
+
+    // Only update if nobody changed the status since we read it.
+    const updated = await storage.update(
+      'forms_submissions',
+      [eq('id', params.id), eq('status', currentStatus)],
+      { status, status_changed_at: now, status_changed_by: session.email },
+      { returning: SUBMISSION_FIELDS }
+    );
+
+    if (updated.length === 0) {
+      return errorResponse(409, 'Submission status changed. Refresh and try again.');
+    }
+
+    await storage.insert('forms_submission_events', {
+      submission_id: submission.id,
+      from_status: currentStatus,
+      to_status: status,
+      changed_by: session.email,
+      changed_at: now,
+      note,
+    });
+
+    await recordAudit(env, request, {
+      action: 'submission.status_changed',
+      email: session.email,
+      siteId: submission.site_id,
+      targetType: 'submission',
+      targetId: submission.id,
+      details: { from: currentStatus, to: status, note },
+    });
+
+    return jsonResponse({
+      success: true,
+      submission: updated[0],
+      nextStatuses: getNextStatuses(status),
+    });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to update submission.');
+  }
+}
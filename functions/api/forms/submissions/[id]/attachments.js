@@ -0,0 +1,51 @@
+import { errorResponse, jsonResponse } from '../../utils.js';
+import { hasSiteRole, requireAdmin } from '../../access.js';
+import { createSignedDownloadUrl } from '../../attachments.js';
+import { recordAudit } from '../../audit.js';
+import { eq, getStorage } from '../../storage/index.js';
+
+/**
+ * List a submission's attachments with short-lived signed download links.
+ */
+export async function onRequestGet({ request, env, params }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const submission = await getStorage(env).first('forms_submissions', {
+      columns: 'id,site_id,attachments',
+      where: eq('id', params.id),
+    });
+    if (!submission || !hasSiteRole(access, submission.site_id, 'viewer')) {
+      return errorResponse(404, 'Submission not found.');
+    }
+
+    const attachments = await Promise.all(
+      (submission.attachments || []).map(async (attachment) => {
+        const { url, expiresAt } = await createSignedDownloadUrl(env, request.url, attachment);
+        return {
+          id: attachment.id,
+          field: attachment.field,
+          name: attachment.name,
+          type: attachment.type,
+          size: attachment.size,
+          url,
+          expiresAt,
+        };
+      })
+    );
+
+    await recordAudit(env, request, {
+      action: 'submission.attachments_viewed',
+      email: session.email,
+      siteId: submission.site_id,
+      targetType: 'submission',
+      targetId: submission.id,
+      details: { files: attachments.map((attachment) => attachment.name) },
+    });
+
+    return jsonResponse({ success: true, attachments });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to load attachments.');
+  }
+}
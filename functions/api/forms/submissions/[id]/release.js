@@ -0,0 +1,77 @@
+import { errorResponse, jsonResponse } from '../../utils.js';
+import { forbiddenResponse, hasSiteRole, requireAdmin } from '../../access.js';
+import { fanOutSubmission, getSite } from '../../pipeline.js';
+import { getFormSchema } from '../../schema.js';
+import { getNextStatuses } from '../../status.js';
+import { recordAudit } from '../../audit.js';
+import { eq, getStorage } from '../../storage/index.js';
+import { getVipFallbackSchema } from '../../../contact.js';
+
+const SUBMISSION_FIELDS =
+  'id,site_id,form_id,submitted_at,origin,ip,page_url,referrer,data,attachments,status,status_changed_at,status_changed_by,quarantined,spam_score,spam_reasons,released_at,released_by';
+
+/**
+ * Release a quarantined submission back into the inbox. The webhooks and notification
+ * emails that were held back when it was quarantined are sent now.
+ */
+export async function onRequestPost({ request, env, params, waitUntil }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const storage = getStorage(env);
+    const submission = await storage.first('forms_submissions', {
+      columns: 'id,site_id,quarantined',
+      where: eq('id', params.id),
+    });
+    if (!submission || !hasSiteRole(access, submission.site_id, 'viewer')) {
+      return errorResponse(404, 'Submission not found.');
+    }
+
+    if (!hasSiteRole(access, submission.site_id, 'editor')) {
+      return forbiddenResponse();
+    }
+
+    if (!submission.quarantined) {
+      return errorResponse(409, 'Submission is not quarantined.');
+    }
+
+    // Only the first release wins, so webhooks and emails go out once.
+    const updated = await storage.update(
+      'forms_submissions',
+      [eq('id', params.id), eq('quarantined', true)],
+      { quarantined: false, released_at: new Date().toISOString(), released_by: session.email },
+      { returning: SUBMISSION_FIELDS }
+    );
+
+    const released = updated[0];
+    if (!released) {
+      return errorResponse(409, 'Submission was already released.');
+    }
+
+    await recordAudit(env, request, {
+      action: 'submission.released',
+      email: session.email,
+      siteId: released.site_id,
+      targetType: 'submission',
+      targetId: released.id,
+      details: { spamScore: released.spam_score, spamReasons: released.spam_reasons },
+    });
+
+    const site = await getSite(env, released.site_id);
+    // Resolved as at submission time, so a released VIP application gets the same email.
+    const schema =
+      (await getFormSchema(env, released.site_id, released.form_id)) ||
+      getVipFallbackSchema(env, released.site_id, released.form_id);
+    if (site) {
+      fanOutSubmission(env, { site, schema, submission: released, waitUntil });
+    }
+
+    return jsonResponse({
+      success: true,
+      submission: { ...released, next_statuses: getNextStatuses(released.status) },
+    });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to release submission.');
+  }
+}
@@ -1,11 +1,6 @@
-import {
-  buildCorsHeaders,
-  errorResponse,
-  getAllowedOrigins,
-  getRequestMeta,
-  jsonResponse,
-  supabaseFetchJson,
-} from './utils.js';
+import { buildCorsHeaders, errorResponse, getAllowedOrigins, getRequestMeta, jsonResponse, matchesSiteKey } from './utils.js';
+import { getSite, processSubmission } from './pipeline.js';
+import { parseSubmissionBody } from './attachments.js';
 
 export async function onRequestOptions({ request }) {
   const origin = request.headers.get('origin') || '*';
@@ -21,60 +16,55 @@ export async function onRequestOptions({ request }) {
   });
 }
 
-export async function onRequestPost({ request, env }) {
+export async function onRequestPost({ request, env, waitUntil }) {
   const initialOrigin = request.headers.get('origin') || '';
   let corsHeaders = initialOrigin
     ? { 'Access-Control-Allow-Origin': initialOrigin, Vary: 'Origin' }
     : {};
 
   try {
-    const body = await request.json();
+    const { body, files } = await parseSubmissionBody(request);
     const siteId = String(body?.siteId || '').trim();
     const formId = body?.formId ? String(body.formId).trim() : null;
     const data = body?.data;
     const meta = body?.meta || {};
+    const challengeToken = body?.challengeToken ? String(body.challengeToken) : null;
 
     if (!siteId || !data) {
       return errorResponse(400, 'siteId and data are required.', corsHeaders);
     }
 
-    const sites = await supabaseFetchJson(
-      env,
-      `/rest/v1/forms_sites?select=site_id,site_key,allowed_origins&site_id=eq.${encodeURIComponent(siteId)}&limit=1`
-    );
-
-    const site = sites?.[0];
+    const site = await getSite(env, siteId);
     if (!site) {
       return errorResponse(401, 'Invalid site.', corsHeaders);
     }
 
     const allowedOrigins = getAllowedOrigins(site);
-    const { origin, referrer, ip, userAgent } = getRequestMeta(request);
-    corsHeaders = buildCorsHeaders(origin, allowedOrigins);
+    const requestMeta = getRequestMeta(request);
+    corsHeaders = buildCorsHeaders(requestMeta.origin, allowedOrigins);
 
     const siteKey = request.headers.get('x-forms-site-key');
-    if (!siteKey || siteKey !== site.site_key) {
+    if (!matchesSiteKey(site, siteKey)) {
       return errorResponse(401, 'Invalid site key.', corsHeaders);
     }
 
-    if (allowedOrigins.length > 0 && origin && !allowedOrigins.includes(origin)) {
+    if (allowedOrigins.length > 0 && requestMeta.origin && !allowedOrigins.includes(requestMeta.origin)) {
       return errorResponse(403, 'Origin not allowed.', corsHeaders);
     }
 
-    await supabaseFetchJson(env, '/rest/v1/forms_submissions', {
-      method: 'POST',
-      headers: { Prefer: 'return=minimal' },
-      body: JSON.stringify({
-        site_id: siteId,
-        form_id: formId,
-        data,
-        origin,
-        ip,
-        user_agent: userAgent,
-        page_url: meta.pageUrl || null,
-        referrer: meta.referrer || referrer || null,
-      }),
+    const result = await processSubmission(env, {
+      site,
+      formId,
+      data,
+      files,
+      meta,
+      requestMeta,
+      challengeToken,
+      waitUntil,
     });
+    if (result.error) {
+      return jsonResponse({ success: false, error: result.error, errors: result.errors }, result.status, corsHeaders);
+    }
 
     return jsonResponse({ success: true }, 200, corsHeaders);
   } catch (error) {
@@ -0,0 +1,79 @@
+import { eq, getStorage, gt, lte } from './storage/index.js';
+
+// Attempts allowed per window, keyed by attempt kind and what it is counted against.
+const LIMITS = {
+  login: { email: 5, ip: 20 },
+  verify: { email: 10, ip: 30 },
+  mfa: { email: 10, ip: 30 },
+  resume: { email: 3, ip: 10 },
+  draft: { ip: 60 },
+};
+
+// Kinds where every attempt counts because each one sends an email or stores a draft; the others only count failures.
+const EVERY_ATTEMPT_COUNTS = ['login', 'resume', 'draft'];
+
+const getWindowMs = (env) => Number.parseInt(env.FORMS_THROTTLE_WINDOW_MINUTES || '15', 10) * 60 * 1000;
+
+// This attempt plus the ones recorded before it, newest first.
+const listRecent = async (env, { kind, column, value, max, windowStart, attemptId }) => {
+  const where = [eq('kind', kind), eq(column, value), gt('created_at', windowStart), lte('id', attemptId)];
+
+  if (!EVERY_ATTEMPT_COUNTS.includes(kind)) {
+    where.push(eq('success', false));
+  }
+
+  return getStorage(env).select('forms_login_attempts', {
+    columns: 'id,created_at',
+    where,
+    order: ['id.desc'],
+    limit: max + 1,
+  });
+};
+
+/**
+ * Record a login, verify, mfa, resume-link or draft-save attempt as failed, then check the per-email
+ * and per-IP limits against it. Recording first means concurrent requests each count the
+ * ones inserted before them, so a burst cannot all squeeze under the limit.
+ * Returns `{ limited, retryAfter, attemptId }`; `retryAfter` is in seconds. A limited
+ * attempt is removed again so waiting out the limit is enough. Call `recordSuccess` once
+ * the attempt succeeds.
+ */
+export const checkThrottle = async (env, { kind, email, ip }) => {
+  const storage = getStorage(env);
+  const windowMs = getWindowMs(env);
+  const now = Date.now();
+  const windowStart = new Date(now - windowMs).toISOString();
+  let retryAfter = 0;
+
+  const inserted = await storage.insert(
+    'forms_login_attempts',
+    { kind, email: email || null, ip: ip || null, success: false },
+    { returning: 'id' }
+  );
+  const attemptId = inserted[0].id;
+
+  const checks = [
+    { column: 'email', value: email, max: LIMITS[kind].email },
+    { column: 'ip', value: ip, max: LIMITS[kind].ip },
+  ].filter((check) => check.value && check.max);
+
+  for (const check of checks) {
+    const attempts = await listRecent(env, { kind, windowStart, attemptId, ...check });
+    if (attempts.length > check.max) {
+      // The limit frees up once the oldest counted attempt leaves the window.
+      const oldest = new Date(attempts[attempts.length - 1].created_at).getTime();
+      retryAfter = Math.max(retryAfter, Math.ceil((oldest + windowMs - now) / 1000), 1);
+    }
+  }
+
+  if (retryAfter > 0) {
+    await storage.remove('forms_login_attempts', eq('id', attemptId));
+    return { limited: true, retryAfter, attemptId: null };
+  }
+  return { limited: false, retryAfter: 0, attemptId };
+};
+
+export const recordSuccess = async (env, { attemptId }) => {
+  if (!attemptId) return;
+  await getStorage(env).update('forms_login_attempts', eq('id', attemptId), { success: true });
+};
@@ -1,3 +1,6 @@
+import { eq, getStorage, gt, inList, neq } from './storage/index.js';
+import { captureEmail, isMailboxEnabled } from './mailbox.js';
+
 const JSON_HEADERS = { 'Content-Type': 'application/json' };
 
 export const jsonResponse = (data, status = 200, headers = {}) => {
@@ -21,11 +24,6 @@ export const getAdminEmails = (env) => {
     .filter(Boolean);
 };
 
-export const isAllowedAdmin = (email, env) => {
-  const allowlist = getAdminEmails(env);
-  return allowlist.includes(normalizeEmail(email));
-};
-
 export const getSupabaseConfig = (env) => {
   const url = env.SUPABASE_URL;
   const key = env.SUPABASE_SERVICE_ROLE_KEY;
@@ -75,7 +73,41 @@ export const hashString = async (value) => {
     .join('');
 };
 
-const base64Url = (bytes) => {
+/**
+ * Compare two strings without short-circuiting on the first difference.
+ */
+export const timingSafeEqual = (a, b) => {
+  const left = String(a || '');
+  const right = String(b || '');
+  let mismatch = left.length ^ right.length;
+  const length = Math.max(left.length, right.length);
+  for (let i = 0; i < length; i += 1) {
+    mismatch |= (left.charCodeAt(i) || 0) ^ (right.charCodeAt(i) || 0);
+  }
+  return mismatch === 0;
+};
+
+/**
+ * Check the `Authorization: Bearer $FORMS_CRON_SECRET` header the scheduled worker sends.
+ * Returns an error response, or null when the caller may proceed.
+ */
+export const checkCronSecret = (request, env) => {
+  if (!env.FORMS_CRON_SECRET) {
+    return errorResponse(503, 'FORMS_CRON_SECRET not configured');
+  }
+
+  const header = request.headers.get('authorization') || '';
+  if (!timingSafeEqual(header, `Bearer ${env.FORMS_CRON_SECRET}`)) {
+    return errorResponse(401, 'Unauthorized');
+  }
+  return null;
+};
+
+export const throttledResponse = (retryAfter, message = 'Too many attempts. Please wait before trying again.') => {
+  return jsonResponse({ success: false, error: message, retryAfter }, 429, { 'Retry-After': String(retryAfter) });
+};
+
+export const base64Url = (bytes) => {
   let binary = '';
   bytes.forEach((byte) => {
     binary += String.fromCharCode(byte);
@@ -83,6 +115,11 @@ const base64Url = (bytes) => {
   return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '');
 };
 
+export const base64UrlDecode = (value) => {
+  const padded = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+};
+
 export const generateCode = () => {
   const array = new Uint32Array(1);
   crypto.getRandomValues(array);
@@ -118,6 +155,11 @@ export const getRequestMeta = (request) => {
 };
 
 export const sendResendEmail = async (env, { from, to, subject, html, replyTo }) => {
+  if (isMailboxEnabled(env)) {
+    const { id } = captureEmail({ from, to, subject, html, replyTo });
+    return { id };
+  }
+
   const resendApiKey = env.RESEND_API_KEY;
   if (!resendApiKey) {
     throw new Error('Resend API key not configured');
@@ -168,6 +210,44 @@ export const clearSessionCookie = (env) => {
   return `${cookieName}=; HttpOnly; Secure; SameSite=Strict; Path=/; Max-Age=0`;
 };
 
+/**
+ * Create a session for a fully authenticated admin and return its `Set-Cookie` value.
+ * `mfa` records that the login passed a second factor, which sites requiring it check for.
+ */
+export const startSession = async (env, request, email, { mfa = false } = {}) => {
+  const { ip, userAgent } = getRequestMeta(request);
+  const token = generateToken();
+  const tokenHash = await hashString(`session:${token}`);
+  const ttlHours = Number.parseInt(env.FORMS_SESSION_TTL_HOURS || '168', 10);
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlHours * 3600 * 1000).toISOString();
+
+  await getStorage(env).insert('forms_sessions', {
+    email,
+    token_hash: tokenHash,
+    expires_at: expiresAt,
+    ip,
+    user_agent: userAgent,
+    last_used_at: now.toISOString(),
+    mfa,
+  });
+
+  return buildSessionCookie(env, token, ttlHours * 3600);
+};
+
+/**
+ * End every session of the given admins except `keepSessionId`. Returns how many were ended.
+ */
+export const revokeSessions = async (env, emails, { keepSessionId = null } = {}) => {
+  if (emails.length === 0) return 0;
+  const removed = await getStorage(env).remove(
+    'forms_sessions',
+    [inList('email', emails), keepSessionId !== null && neq('id', keepSessionId)],
+    { returning: 'id' }
+  );
+  return removed.length;
+};
+
 export const getSessionFromRequest = async (request, env) => {
   const cookies = parseCookies(request.headers.get('cookie') || '');
   const token = cookies[getSessionCookieName(env)];
@@ -176,22 +256,17 @@ export const getSessionFromRequest = async (request, env) => {
   const tokenHash = await hashString(`session:${token}`);
   const now = new Date().toISOString();
 
-  const sessions = await supabaseFetchJson(
-    env,
-    `/rest/v1/forms_sessions?select=id,email,expires_at&token_hash=eq.${encodeURIComponent(tokenHash)}&expires_at=gt.${encodeURIComponent(now)}&limit=1`
-  );
+  const storage = getStorage(env);
+  const session = await storage.first('forms_sessions', {
+    columns: 'id,email,expires_at,mfa',
+    where: [eq('token_hash', tokenHash), gt('expires_at', now)],
+  });
 
-  if (!sessions || sessions.length === 0) {
+  if (!session) {
     return null;
   }
 
-  const session = sessions[0];
-
-  await supabaseFetchJson(env, `/rest/v1/forms_sessions?token_hash=eq.${encodeURIComponent(tokenHash)}`, {
-    method: 'PATCH',
-    headers: { Prefer: 'return=minimal' },
-    body: JSON.stringify({ last_used_at: now }),
-  });
+  await storage.update('forms_sessions', eq('token_hash', tokenHash), { last_used_at: now });
 
   return session;
 };
@@ -219,6 +294,56 @@ export const getAllowedOrigins = (site) => {
   return [];
 };
 
+/**
+ * Normalize an origin such as `https://example.com/` to `https://example.com`.
+ * Returns null for anything that is not a bare http(s) origin.
+ */
+export const normalizeOrigin = (value) => {
+  const trimmed = String(value || '').trim().replace(/\/$/, '');
+  try {
+    const url = new URL(trimmed);
+    if (!['http:', 'https:'].includes(url.protocol) || url.origin !== trimmed.toLowerCase()) return null;
+    return url.origin;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Validate a list (or newline/comma separated string) of origins from the site editor.
+ */
+export const parseOriginsInput = (input) => {
+  const values = Array.isArray(input) ? input : String(input || '').split(/[\s,]+/);
+  const origins = [];
+  const invalid = [];
+
+  values
+    .map((value) => String(value).trim())
+    .filter(Boolean)
+    .forEach((value) => {
+      const origin = normalizeOrigin(value);
+      if (!origin) {
+        invalid.push(value);
+      } else if (!origins.includes(origin)) {
+        origins.push(origin);
+      }
+    });
+
+  return { origins, invalid };
+};
+
+export const generateSiteKey = () => `tfm_${generateToken()}`;
+
+/**
+ * Accept the current site key, or the previous one while its rotation grace period lasts.
+ */
+export const matchesSiteKey = (site, key) => {
+  if (!key) return false;
+  if (timingSafeEqual(key, site.site_key)) return true;
+  const graceEndsAt = site.previous_key_expires_at ? new Date(site.previous_key_expires_at).getTime() : 0;
+  return Boolean(site.previous_site_key) && graceEndsAt > Date.now() && timingSafeEqual(key, site.previous_site_key);
+};
+
 export const buildCorsHeaders = (origin, allowedOrigins) => {
   const allowAll = !allowedOrigins || allowedOrigins.length === 0;
   const isAllowed = origin && (allowAll || allowedOrigins.includes(origin));
@@ -0,0 +1,77 @@
+import { errorResponse, getRequestMeta, jsonResponse, startSession, throttledResponse } from './utils.js';
+import { checkThrottle, recordSuccess } from './throttle.js';
+import { recordAudit } from './audit.js';
+import { checkSecondFactor, completePendingLogin, countRecoveryCodes, getMfaRecord, getPendingLogin } from './mfa.js';
+
+/**
+ * Second login step for enrolled admins: exchange the `mfaToken` from `/api/forms/verify`
+ * and an authenticator code (or a recovery code) for the session cookie.
+ */
+export async function onRequestPost({ request, env }) {
+  try {
+    const body = await request.json();
+    const code = String(body?.code || '').trim();
+    const recoveryCode = String(body?.recoveryCode || '').trim();
+
+    if (!body?.mfaToken || (!code && !recoveryCode)) {
+      return errorResponse(400, 'mfaToken and a code are required.');
+    }
+
+    const pending = await getPendingLogin(env, String(body.mfaToken));
+    if (!pending) {
+      return errorResponse(401, 'Your sign-in expired. Request a new email code.');
+    }
+
+    const { email } = pending;
+    const { ip } = getRequestMeta(request);
+    const throttle = await checkThrottle(env, { kind: 'mfa', email, ip });
+    if (throttle.limited) {
+      await recordAudit(env, request, { action: 'auth.mfa_failed', email, details: { reason: 'throttled' } });
+      return throttledResponse(throttle.retryAfter);
+    }
+
+    const record = await getMfaRecord(env, email);
+    if (!record?.enabled_at) {
+      return errorResponse(409, 'Set up two-factor authentication to continue.');
+    }
+
+    const result = await checkSecondFactor(env, record, { code, recoveryCode });
+    if (!result.ok) {
+      await recordAudit(env, request, {
+        action: 'auth.mfa_failed',
+        email,
+        targetType: 'challenge',
+        targetId: pending.id,
+        details: { method: recoveryCode ? 'recovery_code' : 'totp' },
+      });
+      return errorResponse(401, recoveryCode ? 'Invalid recovery code.' : 'Invalid authenticator code.');
+    }
+
+    await recordSuccess(env, throttle);
+
+    if (!(await completePendingLogin(env, pending))) {
+      return errorResponse(401, 'Your sign-in expired. Request a new email code.');
+    }
+
+    const cookie = await startSession(env, request, email, { mfa: true });
+    const recoveryCodesRemaining = await countRecoveryCodes(env, email);
+
+    await recordAudit(env, request, {
+      action: 'auth.login',
+      email,
+      targetType: 'challenge',
+      targetId: pending.id,
+      details: { mfa: result.method, recoveryCodesRemaining },
+    });
+
+    return jsonResponse(
+      { success: true, recoveryCodesRemaining },
+      200,
+      {
+        'Set-Cookie': cookie,
+      }
+    );
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to verify code.');
+  }
+}
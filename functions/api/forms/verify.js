@@ -1,13 +1,18 @@
 import {
-  buildSessionCookie,
   errorResponse,
-  generateToken,
   getRequestMeta,
   jsonResponse,
   normalizeEmail,
-  supabaseFetchJson,
+  startSession,
   hashString,
+  throttledResponse,
+  timingSafeEqual,
 } from './utils.js';
+import { checkThrottle, recordSuccess } from './throttle.js';
+import { recordAudit } from './audit.js';
+import { getAdminAccess, isMfaRequired } from './access.js';
+import { createPendingLogin, getMfaRecord } from './mfa.js';
+import { eq, getStorage, gt } from './storage/index.js';
 
 export async function onRequestPost({ request, env }) {
   try {
@@ -20,54 +25,116 @@ export async function onRequestPost({ request, env }) {
       return errorResponse(400, 'Email, code, and challenge ID are required.');
     }
 
-    const now = new Date().toISOString();
-    const query = `/rest/v1/forms_auth_codes?select=id,code_hash,expires_at,consumed_at&email=eq.${encodeURIComponent(
-      email
-    )}&id=eq.${encodeURIComponent(challengeId)}&consumed_at=is.null&expires_at=gt.${encodeURIComponent(now)}&limit=1`;
+    const { ip } = getRequestMeta(request);
+    const throttle = await checkThrottle(env, { kind: 'verify', email, ip });
+    if (throttle.limited) {
+      await recordAudit(env, request, { action: 'auth.verify_failed', email, details: { reason: 'throttled' } });
+      return throttledResponse(throttle.retryAfter);
+    }
 
-    const records = await supabaseFetchJson(env, query);
-    const record = records?.[0];
+    const now = new Date().toISOString();
+    const storage = getStorage(env);
+    const record = await storage.first('forms_auth_codes', {
+      columns: 'id,code_hash,expires_at,consumed_at,attempts',
+      where: [eq('email', email), eq('id', challengeId), eq('consumed_at', null), gt('expires_at', now)],
+    });
 
     if (!record) {
+      await recordAudit(env, request, {
+        action: 'auth.verify_failed',
+        email,
+        targetType: 'challenge',
+        targetId: challengeId,
+        details: { reason: 'expired_or_unknown' },
+      });
       return errorResponse(401, 'Invalid or expired code.');
     }
 
-    const codeHash = await hashString(`code:${code}:${email}:${challengeId}`);
-    if (codeHash !== record.code_hash) {
+    // Count the guess before checking it. The update only applies if no other guess got in
+    // since the read, so concurrent guesses can't all see the same count.
+    const maxAttempts = Number.parseInt(env.FORMS_CODE_MAX_ATTEMPTS || '5', 10);
+    const attempts = (record.attempts || 0) + 1;
+    const claimed = await storage.update(
+      'forms_auth_codes',
+      [eq('id', challengeId), eq('consumed_at', null), eq('attempts', record.attempts ?? null)],
+      { attempts },
+      { returning: 'id' }
+    );
+
+    if (claimed.length === 0 || attempts > maxAttempts) {
+      await recordAudit(env, request, {
+        action: 'auth.verify_failed',
+        email,
+        targetType: 'challenge',
+        targetId: challengeId,
+        details: { reason: claimed.length === 0 ? 'concurrent_attempt' : 'too_many_attempts', attempts },
+      });
       return errorResponse(401, 'Invalid or expired code.');
     }
 
-    await supabaseFetchJson(env, `/rest/v1/forms_auth_codes?id=eq.${encodeURIComponent(challengeId)}`, {
-      method: 'PATCH',
-      headers: { Prefer: 'return=minimal' },
-      body: JSON.stringify({ consumed_at: now }),
-    });
+    const codeHash = await hashString(`code:${code}:${email}:${challengeId}`);
+    if (!timingSafeEqual(codeHash, record.code_hash)) {
+      const burned = attempts >= maxAttempts;
 
-    const token = generateToken();
-    const tokenHash = await hashString(`session:${token}`);
-    const ttlHours = Number.parseInt(env.FORMS_SESSION_TTL_HOURS || '168', 10);
-    const expiresAt = new Date(Date.now() + ttlHours * 3600 * 1000).toISOString();
-    const maxAgeSeconds = ttlHours * 3600;
-    const { ip, userAgent } = getRequestMeta(request);
-
-    await supabaseFetchJson(env, '/rest/v1/forms_sessions', {
-      method: 'POST',
-      headers: { Prefer: 'return=minimal' },
-      body: JSON.stringify({
+      // Burn the challenge once it has seen too many wrong codes.
+      if (burned) {
+        await storage.update('forms_auth_codes', eq('id', challengeId), { consumed_at: now });
+      }
+      await recordAudit(env, request, {
+        action: 'auth.verify_failed',
         email,
-        token_hash: tokenHash,
-        expires_at: expiresAt,
-        ip,
-        user_agent: userAgent,
-        last_used_at: now,
-      }),
-    });
+        targetType: 'challenge',
+        targetId: challengeId,
+        details: { reason: 'wrong_code', attempts, burned },
+      });
+
+      if (burned) {
+        return errorResponse(401, 'Too many incorrect codes. Request a new code.');
+      }
+      return jsonResponse(
+        { success: false, error: 'Invalid or expired code.', attemptsRemaining: maxAttempts - attempts },
+        401
+      );
+    }
+
+    // Consume only if still unconsumed, so two concurrent requests can't both redeem the code.
+    const consumed = await storage.update(
+      'forms_auth_codes',
+      [eq('id', challengeId), eq('consumed_at', null)],
+      { consumed_at: now },
+      { returning: 'id' }
+    );
+
+    if (consumed.length === 0) {
+      await recordAudit(env, request, {
+        action: 'auth.verify_failed',
+        email,
+        targetType: 'challenge',
+        targetId: challengeId,
+        details: { reason: 'already_used' },
+      });
+      return errorResponse(401, 'Invalid or expired code.');
+    }
+
+    await recordSuccess(env, throttle);
+
+    // Enrolled admins, and admins of a site that requires it, finish with a second factor.
+    const mfa = await getMfaRecord(env, email);
+    const enrolled = Boolean(mfa?.enabled_at);
+    if (enrolled || (await isMfaRequired(env, await getAdminAccess(env, email)))) {
+      const mfaToken = await createPendingLogin(env, challengeId);
+      return jsonResponse({ success: true, mfaRequired: true, enrolled, mfaToken });
+    }
+
+    const cookie = await startSession(env, request, email);
+
+    await recordAudit(env, request, { action: 'auth.login', email, targetType: 'challenge', targetId: challengeId });
 
     return jsonResponse(
       { success: true },
       200,
       {
-        'Set-Cookie': buildSessionCookie(env, token, maxAgeSeconds),
+        'Set-Cookie': cookie,
       }
     );
   } catch (error) {
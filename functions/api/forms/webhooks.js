@@ -0,0 +1,240 @@
+import { eq, getStorage, inList, lte } from './storage/index.js';
+
+const SIGNATURE_VERSION = 'v1';
+const REQUEST_TIMEOUT_MS = 10000;
+// A claimed delivery is left alone this long; if the attempt never reports back, the next sweep retries it.
+const CLAIM_LEASE_MS = 3 * REQUEST_TIMEOUT_MS;
+const RETRY_BATCH_SIZE = 50;
+export const MAX_WEBHOOKS_PER_SITE = 10;
+export const WEBHOOK_FIELDS = 'id,site_id,url,active,created_at';
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Parse a webhook URL from the admin API. Receivers must use HTTPS; plain HTTP is
+ * accepted for localhost so the bundled test receiver can be registered.
+ */
+export const parseWebhookUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch {
+    throw new Error('Enter a valid webhook URL, such as https://example.com/hooks/forms.');
+  }
+  const isLocal = LOCAL_HOSTS.includes(url.hostname);
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+    throw new Error('Webhook URLs must use https://.');
+  }
+  if (url.username || url.password) {
+    throw new Error('Webhook URLs cannot contain credentials.');
+  }
+  return url.toString();
+};
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+/**
+ * HMAC-SHA256 over `${timestamp}.${body}`, hex encoded. Receivers should recompute it
+ * and reject requests whose timestamp is too old to prevent replays.
+ */
+export const signWebhookPayload = async (secret, timestamp, body) => {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [
+    'sign',
+  ]);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+  return toHex(signature);
+};
+
+// 4xx responses other than timeouts and rate limits mean the receiver rejected the payload; retrying won't help.
+const isRetryable = (status) => !status || status >= 500 || status === 408 || status === 429;
+
+const getRetryConfig = (env) => {
+  const baseDelayMs = Number.parseInt(env.FORMS_WEBHOOK_RETRY_BASE_MS || '60000', 10);
+  return {
+    maxAttempts: Math.max(Number.parseInt(env.FORMS_WEBHOOK_MAX_ATTEMPTS || '4', 10) || 4, 1),
+    // 0 is allowed, so local testing can retry on every sweep.
+    baseDelayMs: Number.isFinite(baseDelayMs) && baseDelayMs >= 0 ? baseDelayMs : 60000,
+  };
+};
+
+const sendOnce = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = await signWebhookPayload(webhook.secret, timestamp, body);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TopFundManager-Forms-Webhooks/1.0',
+        'X-TFM-Event': delivery.event,
+        'X-TFM-Delivery': delivery.id,
+        'X-TFM-Timestamp': timestamp,
+        'X-TFM-Signature': `t=${timestamp},${SIGNATURE_VERSION}=${signature}`,
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const responseText = (await response.text().catch(() => '')).slice(0, 500);
+    return { ok: response.ok, status: response.status, error: response.ok ? null : responseText || response.statusText };
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    return { ok: false, status: null, error: timedOut ? 'Request timed out' : error.message };
+  }
+};
+
+const updateDelivery = (env, id, fields) => getStorage(env).update('forms_webhook_deliveries', eq('id', id), fields);
+
+/**
+ * Make one attempt at a pending delivery and log it. A retryable failure stays `pending`
+ * with `next_attempt_at` set by exponential backoff (base, 2×base, 4×base…), for
+ * `retryPendingDeliveries` to pick up; nothing waits in the request.
+ * The attempt is claimed first, so a sweep and a live dispatch never send the same one twice.
+ * Returns `{ ok, status, error, attempts }`, with `skipped: true` if another worker had it.
+ */
+export const deliverWebhook = async (env, webhook, delivery, { maxAttempts } = {}) => {
+  const config = getRetryConfig(env);
+  const attemptsAllowed = maxAttempts || config.maxAttempts;
+  const previousAttempts = delivery.attempts || 0;
+  const attempts = previousAttempts + 1;
+
+  const claimed = await getStorage(env).update(
+    'forms_webhook_deliveries',
+    [eq('id', delivery.id), eq('status', 'pending'), eq('attempts', previousAttempts)],
+    {
+      attempts,
+      last_attempt_at: new Date().toISOString(),
+      next_attempt_at: new Date(Date.now() + CLAIM_LEASE_MS).toISOString(),
+    },
+    { returning: 'id' }
+  );
+  if (claimed.length === 0) {
+    return { ok: false, status: null, error: 'Delivery is in progress.', attempts: previousAttempts, skipped: true };
+  }
+
+  const result = await sendOnce(webhook, delivery);
+  const retry = !result.ok && isRetryable(result.status) && attempts < attemptsAllowed;
+  const now = Date.now();
+
+  await updateDelivery(env, delivery.id, {
+    response_status: result.status,
+    last_error: result.error,
+    status: result.ok ? 'succeeded' : retry ? 'pending' : 'failed',
+    delivered_at: result.ok ? new Date(now).toISOString() : null,
+    next_attempt_at: retry ? new Date(now + config.baseDelayMs * 2 ** (attempts - 1)).toISOString() : null,
+  });
+
+  return { ...result, attempts };
+};
+
+/**
+ * Attempt every pending delivery that is due: retries whose backoff has passed, and first
+ * attempts or claims that never finished because the request that started them was cut off.
+ * Runs from the cron endpoint; returns how many were attempted and how many succeeded.
+ */
+export const retryPendingDeliveries = async (env, { now = Date.now() } = {}) => {
+  const storage = getStorage(env);
+  const deliveries = await storage.select('forms_webhook_deliveries', {
+    columns: 'id,webhook_id,event,payload,attempts',
+    where: [eq('status', 'pending'), lte('next_attempt_at', new Date(now).toISOString())],
+    order: ['next_attempt_at.asc'],
+    limit: RETRY_BATCH_SIZE,
+  });
+  if (deliveries.length === 0) return { attempted: 0, succeeded: 0 };
+
+  const webhookIds = [...new Set(deliveries.map((delivery) => delivery.webhook_id))];
+  const webhooks = await storage.select('forms_webhooks', {
+    columns: 'id,site_id,url,secret,active',
+    where: inList('id', webhookIds),
+  });
+  const webhooksById = new Map(webhooks.map((webhook) => [webhook.id, webhook]));
+  let attempted = 0;
+  let succeeded = 0;
+
+  for (const delivery of deliveries) {
+    const webhook = webhooksById.get(delivery.webhook_id);
+    if (!webhook?.active) {
+      await updateDelivery(env, delivery.id, {
+        status: 'failed',
+        last_error: 'Webhook is disabled.',
+        next_attempt_at: null,
+      });
+      continue;
+    }
+
+    const result = await deliverWebhook(env, webhook, delivery);
+    if (result.skipped) continue;
+    attempted += 1;
+    if (result.ok) succeeded += 1;
+  }
+
+  return { attempted, succeeded };
+};
+
+export const createDelivery = async (env, webhook, { event, payload, submissionId = null, replayOf = null }) => {
+  const rows = await getStorage(env).insert(
+    'forms_webhook_deliveries',
+    {
+      id: crypto.randomUUID(),
+      webhook_id: webhook.id,
+      site_id: webhook.site_id,
+      submission_id: submissionId,
+      event,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      replay_of: replayOf,
+    },
+    { returning: 'id,event,payload,attempts' }
+  );
+  return rows[0];
+};
+
+export const buildSubmissionPayload = (event, submission) => ({
+  event,
+  createdAt: new Date().toISOString(),
+  submission: {
+    id: submission.id,
+    siteId: submission.site_id,
+    formId: submission.form_id,
+    submittedAt: submission.submitted_at,
+    origin: submission.origin || null,
+    pageUrl: submission.page_url || null,
+    referrer: submission.referrer || null,
+    data: submission.data,
+    attachments: (submission.attachments || []).map(({ id, field, name, type, size }) => ({ id, field, name, type, size })),
+  },
+});
+
+/**
+ * Send `submission.created` to every active webhook registered for the submission's site.
+ * Meant to run in `waitUntil` so slow receivers never delay the form response. Only the
+ * first attempt happens here; retries are left to `retryPendingDeliveries`.
+ */
+export const dispatchSubmissionWebhooks = async (env, submission) => {
+  const webhooks = await getStorage(env).select('forms_webhooks', {
+    columns: 'id,site_id,url,secret',
+    where: [eq('site_id', submission.site_id), eq('active', true)],
+  });
+
+  if (webhooks.length === 0) return;
+
+  const event = 'submission.created';
+  const payload = buildSubmissionPayload(event, submission);
+
+  await Promise.all(
+    webhooks.map(async (webhook) => {
+      try {
+        const delivery = await createDelivery(env, webhook, { event, payload, submissionId: submission.id });
+        await deliverWebhook(env, webhook, delivery);
+      } catch (error) {
+        console.error(`Webhook ${webhook.id} delivery error:`, error);
+      }
+    })
+  );
+};
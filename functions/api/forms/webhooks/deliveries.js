@@ -0,0 +1,63 @@
+import { errorResponse, jsonResponse } from '../utils.js';
+import { forbiddenResponse, getAccessibleSiteIds, hasSiteRole, requireAdmin } from '../access.js';
+import { eq, getStorage, inList } from '../storage/index.js';
+
+const DELIVERY_FIELDS =
+  'id,webhook_id,site_id,submission_id,event,status,attempts,response_status,last_error,created_at,last_attempt_at,delivered_at,replay_of';
+
+export async function onRequestGet({ request, env }) {
+  try {
+    const { access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const url = new URL(request.url);
+    const limitParam = url.searchParams.get('limit') || '25';
+    const siteId = url.searchParams.get('siteId');
+    const submissionId = url.searchParams.get('submissionId');
+    const limit = Math.min(Math.max(Number.parseInt(limitParam, 10) || 25, 1), 100);
+
+    const where = [];
+
+    if (siteId) {
+      if (!hasSiteRole(access, siteId, 'viewer')) {
+        return forbiddenResponse();
+      }
+      where.push(eq('site_id', siteId));
+    } else {
+      const siteIds = getAccessibleSiteIds(access);
+      if (siteIds !== null) {
+        if (siteIds.length === 0) {
+          return jsonResponse({ success: true, deliveries: [] });
+        }
+        where.push(inList('site_id', siteIds));
+      }
+    }
+
+    if (submissionId) {
+      where.push(eq('submission_id', submissionId));
+    }
+
+    const storage = getStorage(env);
+    const rows = await storage.select('forms_webhook_deliveries', {
+      columns: DELIVERY_FIELDS,
+      where,
+      order: ['created_at.desc'],
+      limit,
+    });
+
+    const webhookIds = [...new Set(rows.map((row) => row.webhook_id))];
+    const webhooks =
+      webhookIds.length > 0
+        ? await storage.select('forms_webhooks', { columns: 'id,url', where: inList('id', webhookIds) })
+        : [];
+    const urls = new Map(webhooks.map((webhook) => [webhook.id, webhook.url]));
+    const deliveries = rows.map((row) => ({
+      ...row,
+      forms_webhooks: urls.has(row.webhook_id) ? { url: urls.get(row.webhook_id) } : null,
+    }));
+
+    return jsonResponse({ success: true, deliveries });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to load webhook deliveries.');
+  }
+}
@@ -0,0 +1,103 @@
+import { errorResponse, jsonResponse } from '../utils.js';
+import { forbiddenResponse, getAccessibleSiteIds, hasSiteRole, requireAdmin } from '../access.js';
+import { MAX_WEBHOOKS_PER_SITE, WEBHOOK_FIELDS, parseWebhookUrl } from '../webhooks.js';
+import { recordAudit } from '../audit.js';
+import { eq, getStorage, inList } from '../storage/index.js';
+
+/**
+ * Webhook endpoints registered for the sites the admin can see. Secrets are not listed;
+ * they are returned once, when the webhook is registered.
+ */
+export async function onRequestGet({ request, env }) {
+  try {
+    const { access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const siteId = new URL(request.url).searchParams.get('siteId');
+    const where = [];
+
+    if (siteId) {
+      if (!hasSiteRole(access, siteId, 'viewer')) {
+        return forbiddenResponse();
+      }
+      where.push(eq('site_id', siteId));
+    } else {
+      const siteIds = getAccessibleSiteIds(access);
+      if (siteIds !== null) {
+        if (siteIds.length === 0) {
+          return jsonResponse({ success: true, webhooks: [] });
+        }
+        where.push(inList('site_id', siteIds));
+      }
+    }
+
+    const webhooks = await getStorage(env).select('forms_webhooks', {
+      columns: WEBHOOK_FIELDS,
+      where,
+      order: ['created_at.asc'],
+    });
+
+    return jsonResponse({ success: true, webhooks });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to load webhooks.');
+  }
+}
+
+/**
+ * Register a webhook URL for a site (`{ siteId, url }`). Owners only.
+ */
+export async function onRequestPost({ request, env }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const body = await request.json();
+    const siteId = String(body?.siteId || '').trim();
+    if (!siteId || !hasSiteRole(access, siteId, 'viewer')) {
+      return errorResponse(404, 'Site not found.');
+    }
+    if (!hasSiteRole(access, siteId, 'owner')) {
+      return forbiddenResponse();
+    }
+
+    let url;
+    try {
+      url = parseWebhookUrl(body?.url);
+    } catch (error) {
+      return errorResponse(400, error.message);
+    }
+
+    const storage = getStorage(env);
+    // Disabled webhooks don't count, so a URL can be registered again to get a new secret.
+    const existing = await storage.select('forms_webhooks', {
+      columns: 'id,url',
+      where: [eq('site_id', siteId), eq('active', true)],
+    });
+    if (existing.some((webhook) => webhook.url === url)) {
+      return errorResponse(409, 'That URL is already registered for this site.');
+    }
+    if (existing.length >= MAX_WEBHOOKS_PER_SITE) {
+      return errorResponse(409, `A site can have at most ${MAX_WEBHOOKS_PER_SITE} active webhooks.`);
+    }
+
+    const rows = await storage.insert(
+      'forms_webhooks',
+      { site_id: siteId, url, active: true },
+      { returning: `${WEBHOOK_FIELDS},secret` }
+    );
+    const webhook = rows[0];
+
+    await recordAudit(env, request, {
+      action: 'webhook.created',
+      email: session.email,
+      siteId,
+      targetType: 'webhook',
+      targetId: webhook.id,
+      details: { url },
+    });
+
+    return jsonResponse({ success: true, webhook }, 201);
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to register webhook.');
+  }
+}
@@ -0,0 +1,49 @@
+import { errorResponse, jsonResponse } from '../../utils.js';
+import { forbiddenResponse, hasSiteRole, requireAdmin } from '../../access.js';
+import { WEBHOOK_FIELDS } from '../../webhooks.js';
+import { recordAudit } from '../../audit.js';
+import { eq, getStorage } from '../../storage/index.js';
+
+/**
+ * Disable or re-enable a webhook (`{ active }`). Disabled webhooks get no new deliveries,
+ * and their pending retries are dropped. Owners only.
+ */
+export async function onRequestPatch({ request, env, params }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const storage = getStorage(env);
+    const webhook = await storage.first('forms_webhooks', { columns: 'id,site_id', where: eq('id', params.id) });
+    if (!webhook || !hasSiteRole(access, webhook.site_id, 'viewer')) {
+      return errorResponse(404, 'Webhook not found.');
+    }
+    if (!hasSiteRole(access, webhook.site_id, 'owner')) {
+      return forbiddenResponse();
+    }
+
+    const body = await request.json();
+    if (typeof body?.active !== 'boolean') {
+      return errorResponse(400, 'active must be true or false.');
+    }
+
+    const updated = await storage.update(
+      'forms_webhooks',
+      eq('id', params.id),
+      { active: body.active },
+      { returning: WEBHOOK_FIELDS }
+    );
+
+    await recordAudit(env, request, {
+      action: body.active ? 'webhook.enabled' : 'webhook.disabled',
+      email: session.email,
+      siteId: webhook.site_id,
+      targetType: 'webhook',
+      targetId: webhook.id,
+    });
+
+    return jsonResponse({ success: true, webhook: updated[0] });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to update webhook.');
+  }
+}
@@ -0,0 +1,70 @@
+import { errorResponse, jsonResponse } from '../utils.js';
+import { forbiddenResponse, hasSiteRole, requireAdmin } from '../access.js';
+import { createDelivery, deliverWebhook } from '../webhooks.js';
+import { recordAudit } from '../audit.js';
+import { eq, getStorage } from '../storage/index.js';
+
+export async function onRequestPost({ request, env }) {
+  try {
+    const { session, access, response } = await requireAdmin(request, env);
+    if (response) return response;
+
+    const body = await request.json();
+    const deliveryId = String(body?.deliveryId || '').trim();
+    if (!deliveryId) {
+      return errorResponse(400, 'deliveryId is required.');
+    }
+
+    const storage = getStorage(env);
+    const original = await storage.first('forms_webhook_deliveries', {
+      columns: 'id,webhook_id,site_id,submission_id,event,payload',
+      where: eq('id', deliveryId),
+    });
+    if (!original || !hasSiteRole(access, original.site_id, 'viewer')) {
+      return errorResponse(404, 'Delivery not found.');
+    }
+
+    if (!hasSiteRole(access, original.site_id, 'editor')) {
+      return forbiddenResponse();
+    }
+
+    const webhook = await storage.first('forms_webhooks', {
+      columns: 'id,site_id,url,secret,active',
+      where: eq('id', original.webhook_id),
+    });
+    if (!webhook) {
+      return errorResponse(404, 'Webhook no longer exists.');
+    }
+    if (!webhook.active) {
+      return errorResponse(409, 'Webhook is disabled.');
+    }
+
+    // Replays are logged as new deliveries and attempted once, so the admin sees the result immediately.
+    const delivery = await createDelivery(env, webhook, {
+      event: original.event,
+      payload: original.payload,
+      submissionId: original.submission_id,
+      replayOf: original.id,
+    });
+    const result = await deliverWebhook(env, webhook, delivery, { maxAttempts: 1 });
+
+    await recordAudit(env, request, {
+      action: 'webhook.replayed',
+      email: session.email,
+      siteId: original.site_id,
+      targetType: 'webhook_delivery',
+      targetId: original.id,
+      details: { webhookId: webhook.id, replayId: delivery.id, delivered: result.ok, responseStatus: result.status },
+    });
+
+    return jsonResponse({
+      success: true,
+      deliveryId: delivery.id,
+      delivered: result.ok,
+      responseStatus: result.status,
+      error: result.error,
+    });
+  } catch (error) {
+    return errorResponse(500, error.message || 'Unable to replay webhook.');
+  }
+}
@@ -0,0 +1,76 @@
+import { errorResponse, jsonResponse } from '../api/forms/utils.js';
+import { escapeHtml } from '../api/forms/format.js';
+import { clearCapturedEmails, isMailboxEnabled, listCapturedEmails } from '../api/forms/mailbox.js';
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Captured mail includes login codes, so it is only ever shown to a local dev server.
+const isAvailable = (request, env) => isMailboxEnabled(env) && LOCAL_HOSTS.includes(new URL(request.url).hostname);
+
+const renderMessage = (message) => `
+      <section class="forms-card">
+        <div class="forms-data-grid">
+          <div class="forms-data-row"><span class="forms-data-label">Subject</span><span class="forms-data-value"><strong>${escapeHtml(message.subject)}</strong></span></div>
+          <div class="forms-data-row"><span class="forms-data-label">To</span><span class="forms-data-value">${escapeHtml(message.to.join(', '))}</span></div>
+          <div class="forms-data-row"><span class="forms-data-label">From</span><span class="forms-data-value">${escapeHtml(message.from)}</span></div>
+          <div class="forms-data-row"><span class="forms-data-label">Reply to</span><span class="forms-data-value">${escapeHtml(message.replyTo || '—')}</span></div>
+          <div class="forms-data-row"><span class="forms-data-label">Sent</span><span class="forms-data-value">${escapeHtml(message.sentAt)}</span></div>
+        </div>
+        <iframe sandbox title="${escapeHtml(message.subject)}" srcdoc="${escapeHtml(message.html)}" style="width: 100%; min-height: 240px; border: 1px solid #e5e7eb; border-radius: 8px; margin-top: 12px;"></iframe>
+      </section>`;
+
+const renderPage = (messages) => `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="robots" content="noindex" />
+    <title>Dev Mailbox</title>
+    <link rel="stylesheet" href="/forms/forms.css" />
+  </head>
+  <body>
+    <div class="forms-shell">
+      <header class="forms-header">
+        <div class="forms-brand">
+          <h1>Dev Mailbox</h1>
+          <p>${messages.length} captured ${messages.length === 1 ? 'message' : 'messages'}, newest first</p>
+        </div>
+        <div class="forms-actions">
+          <a class="forms-button secondary" href="/forms/index.html">Forms login</a>
+          <a class="forms-button secondary" href="/dev/mailbox">Refresh</a>
+          <form method="post" action="/dev/mailbox"><button class="forms-button primary" type="submit">Clear</button></form>
+        </div>
+      </header>
+${messages.length > 0 ? messages.map(renderMessage).join('\n') : '      <section class="forms-card"><p class="forms-muted">No email has been sent yet.</p></section>'}
+    </div>
+  </body>
+</html>
+`;
+
+/**
+ * Email captured while `FORMS_EMAIL_PROVIDER = "mailbox"`, e.g. admin login codes and
+ * submission notifications. `?format=json` returns the messages for scripts.
+ */
+export async function onRequestGet({ request, env }) {
+  if (!isAvailable(request, env)) {
+    return errorResponse(404, 'Not found.');
+  }
+
+  const messages = listCapturedEmails();
+  if (new URL(request.url).searchParams.get('format') === 'json') {
+    return jsonResponse({ success: true, messages }, 200, { 'Cache-Control': 'no-store' });
+  }
+
+  return new Response(renderPage(messages), {
+    headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' },
+  });
+}
+
+export async function onRequestPost({ request, env }) {
+  if (!isAvailable(request, env)) {
+    return errorResponse(404, 'Not found.');
+  }
+
+  clearCapturedEmails();
+  return Response.redirect(new URL('/dev/mailbox', request.url).toString(), 303);
+}
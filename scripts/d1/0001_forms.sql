@@ -0,0 +1,176 @@
+-- Forms backend schema for the D1 storage backend (FORMS_STORAGE = "d1").
+-- Mirrors the Supabase tables described in DEPLOYMENT.md. JSON columns hold JSON text,
+-- booleans are 0/1 and timestamps are ISO 8601 strings in UTC.
+
+create table forms_sites (
+  site_id text primary key,
+  site_name text not null,
+  site_key text not null,
+  previous_site_key text,
+  previous_key_expires_at text,
+  allowed_origins text not null default '[]',
+  reject_unknown_forms integer not null default 0,
+  notify_emails text not null default '[]',
+  spam_rules text not null default '{}',
+  challenge_required integer not null default 0,
+  challenge_site_key text,
+  challenge_secret text,
+  require_mfa integer not null default 0,
+  retention_days integer check (retention_days between 1 and 3650),
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table forms_schemas (
+  site_id text not null references forms_sites (site_id) on delete cascade,
+  form_id text not null,
+  fields text not null default '{}',
+  unknown_fields text not null default 'strip' check (unknown_fields in ('strip', 'reject', 'allow')),
+  notify_emails text not null default '[]',
+  attachments text,
+  primary key (site_id, form_id)
+);
+
+create table forms_submissions (
+  id text primary key,
+  site_id text not null references forms_sites (site_id) on delete cascade,
+  form_id text,
+  submitted_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  origin text,
+  ip text,
+  user_agent text,
+  page_url text,
+  referrer text,
+  data text not null default '{}',
+  attachments text not null default '[]',
+  status text not null default 'new'
+    check (status in ('new', 'reviewed', 'contacted', 'won', 'lost', 'archived')),
+  status_changed_at text,
+  status_changed_by text,
+  quarantined integer not null default 0,
+  spam_score integer not null default 0,
+  spam_reasons text not null default '[]',
+  released_at text,
+  released_by text,
+  erased_at text
+);
+create index forms_submissions_site_idx on forms_submissions (site_id, submitted_at desc, id desc);
+create index forms_submissions_quarantine_idx on forms_submissions (site_id, quarantined, submitted_at desc);
+
+create table forms_submission_events (
+  id integer primary key autoincrement,
+  submission_id text not null references forms_submissions (id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  changed_by text not null,
+  changed_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  note text
+);
+create index forms_submission_events_submission_idx on forms_submission_events (submission_id, changed_at desc);
+
+create table forms_auth_codes (
+  id text primary key,
+  email text not null,
+  code_hash text not null,
+  expires_at text not null,
+  consumed_at text,
+  attempts integer not null default 0,
+  ip text,
+  user_agent text,
+  mfa_token_hash text,
+  mfa_expires_at text,
+  mfa_completed_at text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+create index forms_auth_codes_mfa_idx on forms_auth_codes (mfa_token_hash);
+
+create table forms_sessions (
+  id text primary key default (lower(hex(randomblob(16)))),
+  email text not null,
+  token_hash text not null unique,
+  expires_at text not null,
+  ip text,
+  user_agent text,
+  last_used_at text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+create index forms_sessions_email_idx on forms_sessions (email, expires_at);
+
+create table forms_login_attempts (
+  id integer primary key autoincrement,
+  kind text not null check (kind in ('login', 'verify', 'mfa')),
+  email text,
+  ip text,
+  success integer not null,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+create index forms_login_attempts_email_idx on forms_login_attempts (kind, email, created_at desc);
+create index forms_login_attempts_ip_idx on forms_login_attempts (kind, ip, created_at desc);
+
+create table forms_admins (
+  email text not null,
+  site_id text not null,
+  role text not null check (role in ('viewer', 'editor', 'owner')),
+  invited_by text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  primary key (email, site_id)
+);
+
+create table forms_webhooks (
+  id text primary key default (lower(hex(randomblob(16)))),
+  site_id text not null references forms_sites (site_id) on delete cascade,
+  url text not null,
+  secret text not null default (lower(hex(randomblob(32)))),
+  active integer not null default 1,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table forms_webhook_deliveries (
+  id text primary key,
+  webhook_id text not null references forms_webhooks (id) on delete cascade,
+  site_id text not null,
+  submission_id text references forms_submissions (id) on delete set null,
+  event text not null,
+  payload text not null,
+  status text not null default 'pending' check (status in ('pending', 'succeeded', 'failed')),
+  attempts integer not null default 0,
+  response_status integer,
+  last_error text,
+  replay_of text references forms_webhook_deliveries (id) on delete set null,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  last_attempt_at text,
+  delivered_at text
+);
+create index forms_webhook_deliveries_site_idx on forms_webhook_deliveries (site_id, created_at desc);
+
+create table forms_audit_log (
+  id integer primary key autoincrement,
+  action text not null,
+  admin_email text,
+  ip text,
+  user_agent text,
+  site_id text,
+  target_type text,
+  target_id text,
+  details text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+create index forms_audit_log_created_idx on forms_audit_log (created_at desc, id desc);
+create index forms_audit_log_site_idx on forms_audit_log (site_id, created_at desc);
+create index forms_audit_log_email_idx on forms_audit_log (admin_email, created_at desc);
+
+create table forms_admin_mfa (
+  email text primary key,
+  totp_secret text not null,
+  enabled_at text,
+  last_used_step integer,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table forms_mfa_recovery_codes (
+  id integer primary key autoincrement,
+  email text not null references forms_admin_mfa (email) on delete cascade,
+  code_hash text not null,
+  used_at text,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+create index forms_mfa_recovery_codes_email_idx on forms_mfa_recovery_codes (email);
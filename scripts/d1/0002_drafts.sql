@@ -0,0 +1,31 @@
+-- Save-and-resume drafts for multi-step forms, and the 'resume' throttle kind.
+
+create table forms_drafts (
+  id text primary key default (lower(hex(randomblob(16)))),
+  site_id text not null references forms_sites (site_id) on delete cascade,
+  form_id text not null,
+  token_hash text not null unique,
+  email text,
+  data text not null default '{}',
+  current_step integer not null default 1,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  expires_at text not null
+);
+create index forms_drafts_email_idx on forms_drafts (email);
+create index forms_drafts_expires_idx on forms_drafts (expires_at);
+
+-- SQLite cannot alter a check constraint, so the table is rebuilt.
+create table forms_login_attempts_new (
+  id integer primary key autoincrement,
+  kind text not null check (kind in ('login', 'verify', 'mfa', 'resume')),
+  email text,
+  ip text,
+  success integer not null,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+insert into forms_login_attempts_new select * from forms_login_attempts;
+drop table forms_login_attempts;
+alter table forms_login_attempts_new rename to forms_login_attempts;
+create index forms_login_attempts_email_idx on forms_login_attempts (kind, email, created_at desc);
+create index forms_login_attempts_ip_idx on forms_login_attempts (kind, ip, created_at desc);
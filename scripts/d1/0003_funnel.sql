@@ -0,0 +1,14 @@
+-- Step views from multi-step forms, for the drop-off funnel.
+
+create table forms_funnel_sessions (
+  id text primary key,
+  site_id text not null references forms_sites (site_id) on delete cascade,
+  form_id text not null,
+  max_step integer not null default 1,
+  last_step integer not null default 1,
+  started_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  submitted_at text
+);
+create index forms_funnel_sessions_site_idx on forms_funnel_sessions (site_id, form_id, started_at);
+create index forms_drafts_updated_idx on forms_drafts (site_id, updated_at);
@@ -0,0 +1,5 @@
+-- Webhook retries are picked up by the cron sweep once next_attempt_at has passed.
+
+alter table forms_webhook_deliveries add column next_attempt_at text;
+update forms_webhook_deliveries set next_attempt_at = created_at where status = 'pending';
+create index forms_webhook_deliveries_due_idx on forms_webhook_deliveries (status, next_attempt_at);
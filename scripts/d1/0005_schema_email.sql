@@ -0,0 +1,4 @@
+-- Optional display name and notification subject template per form schema.
+
+alter table forms_schemas add column display_name text;
+alter table forms_schemas add column email_subject text;
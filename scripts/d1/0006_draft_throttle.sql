@@ -0,0 +1,16 @@
+-- The 'draft' throttle kind, which limits draft saves per IP.
+
+-- SQLite cannot alter a check constraint, so the table is rebuilt.
+create table forms_login_attempts_new (
+  id integer primary key autoincrement,
+  kind text not null check (kind in ('login', 'verify', 'mfa', 'resume', 'draft')),
+  email text,
+  ip text,
+  success integer not null,
+  created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+insert into forms_login_attempts_new select * from forms_login_attempts;
+drop table forms_login_attempts;
+alter table forms_login_attempts_new rename to forms_login_attempts;
+create index forms_login_attempts_email_idx on forms_login_attempts (kind, email, created_at desc);
+create index forms_login_attempts_ip_idx on forms_login_attempts (kind, ip, created_at desc);
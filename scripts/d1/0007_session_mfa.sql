@@ -0,0 +1,3 @@
+-- Whether a session was started with a second factor, so sites that require one can refuse it.
+
+alter table forms_sessions add column mfa integer not null default 0;
@@ -0,0 +1,30 @@
+/**
+ * Scheduled companion for the Pages project: Pages Functions cannot run on a cron,
+ * so this worker calls the retention and webhook retry endpoints on the schedules in wrangler.toml.
+ *
+ *   npx wrangler deploy --config scripts/forms-cron/wrangler.toml
+ *   npx wrangler secret put FORMS_CRON_SECRET --config scripts/forms-cron/wrangler.toml
+ */
+const RETENTION_CRON = '17 3 * * *';
+
+const callEndpoint = async (env, name, url) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${env.FORMS_CRON_SECRET}` },
+  });
+  const body = await response.text();
+  if (!response.ok) {
+    throw new Error(`${name} run failed (${response.status}): ${body}`);
+  }
+  console.log(`${name} run: ${body}`);
+};
+
+export default {
+  async scheduled(event, env, ctx) {
+    if (event.cron === RETENTION_CRON) {
+      ctx.waitUntil(callEndpoint(env, 'Retention', env.FORMS_RETENTION_URL));
+    } else {
+      ctx.waitUntil(callEndpoint(env, 'Webhook retry', env.FORMS_WEBHOOK_RETRY_URL));
+    }
+  },
+};
@@ -0,0 +1,65 @@
+/**
+ * Local webhook receiver for testing forms webhooks.
+ *
+ *   WEBHOOK_SECRET=... npm run webhook:receiver
+ *
+ * Register http://localhost:8790/ as a webhook URL for a site. Set WEBHOOK_FAIL_FIRST=N
+ * to answer the first N attempts of each delivery with a 500 and watch the retries.
+ */
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { createServer } from 'node:http';
+
+const port = Number.parseInt(process.env.PORT || '8790', 10);
+const secret = process.env.WEBHOOK_SECRET || '';
+const failFirst = Number.parseInt(process.env.WEBHOOK_FAIL_FIRST || '0', 10);
+const toleranceSeconds = 300;
+const attemptsByDelivery = new Map();
+
+const verifySignature = (header, body) => {
+  const parts = Object.fromEntries(
+    String(header || '')
+      .split(',')
+      .map((part) => part.split('='))
+  );
+  const timestamp = Number.parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return 'missing signature';
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return 'timestamp outside tolerance';
+
+  const expected = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest();
+  const received = Buffer.from(parts.v1, 'hex');
+  if (received.length !== expected.length || !timingSafeEqual(received, expected)) return 'signature mismatch';
+  return null;
+};
+
+createServer((request, response) => {
+  let body = '';
+  request.on('data', (chunk) => {
+    body += chunk;
+  });
+  request.on('end', () => {
+    const deliveryId = request.headers['x-tfm-delivery'] || 'unknown';
+    const attempt = (attemptsByDelivery.get(deliveryId) || 0) + 1;
+    attemptsByDelivery.set(deliveryId, attempt);
+
+    const signatureError = secret ? verifySignature(request.headers['x-tfm-signature'], body) : null;
+    console.log(
+      `[${new Date().toISOString()}] ${request.headers['x-tfm-event']} delivery=${deliveryId} attempt=${attempt} ` +
+        (secret ? `signature=${signatureError || 'valid'}` : 'signature=unchecked (no WEBHOOK_SECRET)')
+    );
+    console.log(body);
+
+    if (signatureError) {
+      response.writeHead(401).end(signatureError);
+      return;
+    }
+
+    if (attempt <= failFirst) {
+      response.writeHead(500).end('simulated failure');
+      return;
+    }
+
+    response.writeHead(200, { 'Content-Type': 'application/json' }).end('{"received":true}');
+  });
+}).listen(port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${port}/`);
+});